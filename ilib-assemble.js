@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * ilib-assemble.js - Assemble the ilib locale data for a set of locales
+ * without webpack, in the same form that the webpack plugin emits it
+ *
+ * @license
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var path = require('path');
+var fs = require('fs');
+var IlibDataPlugin = require('./ilib-webpack-plugin.js');
+
+function usage() {
+    console.log(
+        "Usage: ilib-assemble [options]\n" +
+        "\n" +
+        "Assemble the ilib locale data for the given locales and types of data into\n" +
+        "the same locale part files and manifests that ilib-webpack-plugin emits.\n" +
+        "\n" +
+        "Options:\n" +
+        "  -l, --locales <list>    comma-separated list of locales, such as en-US,de-DE\n" +
+        "  -d, --data <list>       comma-separated list of types of locale data, such as\n" +
+        "                          sysres,dateformats,currency\n" +
+        "  -p, --presets <list>    comma-separated list of presets of data to include, such\n" +
+        "                          as dates,numbers. Use --list-presets to see them.\n" +
+        "  -r, --ilib-root <dir>   the root of the ilib sources to take the data from\n" +
+        "  -o, --output <dir>      the directory to write the files to. Default: ./assets\n" +
+        "  -c, --config <file>     a json file with the options of the plugin, plus the\n" +
+        "                          \"data\" and \"output\" properties. The other command-line\n" +
+        "                          options override the ones in this file.\n" +
+        "  --explain <locale> <type>\n" +
+        "                          explain where the data of the given type for the\n" +
+        "                          given locale came from. May be given more than once.\n" +
+        "  --annotate              mark each piece of data in the output with the file\n" +
+        "                          it came from\n" +
+        "  --self-test             load the output in a sandbox and check that ilib can\n" +
+        "                          use it without loading any other data\n" +
+        "  --list-presets          print out what each of the presets includes\n" +
+        "  --debug                 print out what is being done\n" +
+        "  -h, --help              print this help\n");
+}
+
+function splitList(value) {
+    return value.split(",").map(function(item) {
+        return item.trim();
+    }).filter(function(item) {
+        return item.length > 0;
+    });
+}
+
+function listPresets() {
+    var presets = IlibDataPlugin.getPresets();
+    for (var name in presets) {
+        var preset = presets[name];
+        console.log(name + " - " + preset.description);
+        console.log("    data: " + preset.data.join(", "));
+        if (preset.charsets.length) {
+            console.log("    charsets: " + preset.charsets.join(", "));
+        }
+        if (preset.normalization.length) {
+            console.log("    normalization: " + preset.normalization.join(", "));
+        }
+    }
+}
+
+function parseArgs(argv) {
+    var args = {};
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        var next = function() {
+            if (i + 1 >= argv.length) {
+                throw new Error("Missing value for " + arg);
+            }
+            return argv[++i];
+        };
+        switch (arg) {
+        case "-l":
+        case "--locales":
+            args.locales = splitList(next());
+            break;
+        case "-d":
+        case "--data":
+            args.data = splitList(next());
+            break;
+        case "-p":
+        case "--presets":
+            args.presets = splitList(next());
+            break;
+        case "--list-presets":
+            args.listPresets = true;
+            break;
+        case "-r":
+        case "--ilib-root":
+            args.ilibRoot = next();
+            break;
+        case "-o":
+        case "--output":
+            args.output = next();
+            break;
+        case "-c":
+        case "--config":
+            args.config = next();
+            break;
+        case "--explain":
+            var locale = next();
+            args.explain = (args.explain || []).concat([locale + " " + next()]);
+            break;
+        case "--annotate":
+            args.annotate = true;
+            break;
+        case "--self-test":
+            args.selfTest = true;
+            break;
+        case "--debug":
+            args.debug = true;
+            break;
+        case "-h":
+        case "--help":
+            args.help = true;
+            break;
+        default:
+            throw new Error("Unknown option " + arg);
+        }
+    }
+    return args;
+}
+
+function main() {
+    var args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error("ilib-assemble: " + e.message);
+        usage();
+        return 2;
+    }
+    if (args.help) {
+        usage();
+        return 0;
+    }
+    if (args.listPresets) {
+        listPresets();
+        return 0;
+    }
+
+    var options = {};
+    if (args.config) {
+        try {
+            options = JSON.parse(fs.readFileSync(args.config, "utf-8"));
+        } catch (e) {
+            console.error("ilib-assemble: Could not read the config file " + args.config + ": " + e.message);
+            return 2;
+        }
+        // the paths in the config file are relative to the file itself
+        var configDir = path.dirname(path.resolve(args.config));
+        ["ilibRoot", "output", "resourceDir"].forEach(function(name) {
+            if (typeof(options[name]) === "string") {
+                options[name] = path.resolve(configDir, options[name]);
+            }
+        });
+        if (Array.isArray(options.customDataRoots)) {
+            options.customDataRoots = options.customDataRoots.map(function(dir) {
+                return path.resolve(configDir, dir);
+            });
+        }
+    }
+    ["locales", "data", "presets", "ilibRoot", "output", "explain", "annotate", "selfTest", "debug"].forEach(function(name) {
+        if (typeof(args[name]) !== "undefined") {
+            options[name] = args[name];
+        }
+    });
+
+    if (!options.locales || !((options.data && options.data.length) || (options.presets && options.presets.length))) {
+        console.error("ilib-assemble: Both the locales and the types of data or presets are required.");
+        usage();
+        return 2;
+    }
+
+    var types = options.data || [];
+    var output = path.resolve(options.output || "assets");
+    delete options.data;
+    delete options.output;
+    options.tempDir = output;
+
+    var result;
+    try {
+        result = IlibDataPlugin.assemble(options, types);
+    } catch (e) {
+        console.error("ilib-assemble: " + e.message);
+        return 1;
+    }
+
+    var failed = false;
+    result.problems.forEach(function(problem) {
+        console.error((problem.severity === "error" ? "ERROR: " : "WARNING: ") + problem.message);
+        failed = failed || problem.severity === "error";
+    });
+
+    if (result.explanations) {
+        console.log(result.explanations);
+    }
+
+    for (var name in result.assets) {
+        var pathname = path.join(output, name);
+        if (options.debug) console.log("ilib-assemble: Writing " + pathname);
+        fs.mkdirSync(path.dirname(pathname), {recursive: true});
+        fs.writeFileSync(pathname, result.assets[name], "utf-8");
+    }
+
+    return failed ? 1 : 0;
+}
+
+process.exitCode = main();
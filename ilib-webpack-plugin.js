@@ -21,77 +21,1890 @@
 
 var path = require('path');
 var fs = require('fs');
-var ilib;
-var Locale;
-var Utils;
-var LocaleMatcher;
+var crypto = require('crypto');
+var vm = require('vm');
 
-var localeData = new Set();
+/**
+ * Find the root of the copy of ilib that a module in the given
+ * directory would get if it required ilib. This is the same copy
+ * that the app is built with, even when the packages are linked
+ * or hoisted into the node_modules of a workspace.
+ *
+ * @param {string} [context] the directory to look from. Default:
+ * the current directory
+ * @returns {string|undefined} the root of ilib, or undefined if
+ * it cannot be found
+ */
+function findIlibRoot(context) {
+    try {
+        return path.dirname(require.resolve("ilib/package.json", {
+            paths: [context || process.cwd()]
+        }));
+    } catch (e) {
+        // fall back to the copy that this plugin would get
+        var dir = module.paths.find(function(p) {
+            return fs.existsSync(path.join(p, "ilib/package.json"));
+        });
+        return dir && path.join(dir, "ilib");
+    }
+}
+
+/**
+ * Return the version of the copy of ilib at the given root. The
+ * version comes from the package.json of ilib, which is in the
+ * root itself for the npm package, or in its parent directory
+ * for the "js" directory of the ilib sources.
+ *
+ * @param {string} root the root of ilib
+ * @returns {string|undefined} the version, or undefined if it is
+ * not known
+ */
+function getIlibVersion(root) {
+    var version;
+    [root, path.dirname(root)].some(function(dir) {
+        try {
+            var pkg = JSON.parse(fs.readFileSync(path.join(dir, "package.json"), "utf-8"));
+            if (pkg.name === "ilib") {
+                version = pkg.version;
+            }
+        } catch (e) {
+            // no package.json here
+        }
+        return version;
+    });
+    return version;
+}
+
+/**
+ * Describe the layout of the copy of ilib at the given root. The
+ * npm package of ilib is compiled, which means that its locale data
+ * is assembled into the "locale" directory, whereas the sources of
+ * ilib keep it in "data/locale".
+ *
+ * @param {string} root the root of ilib
+ * @returns {Object} the "root", "version", "lib" directory,
+ * "dataRoot" directory and whether or not the copy is "compiled"
+ */
+function getIlibLayout(root) {
+    var compiled = fs.existsSync(path.join(root, "locale")) ||
+        !fs.existsSync(path.join(root, "data/locale"));
+    return {
+        root: root,
+        version: getIlibVersion(root),
+        lib: path.join(root, "lib"),
+        dataRoot: path.join(root, compiled ? "locale" : "data/locale"),
+        compiled: compiled
+    };
+}
+
+/**
+ * Load the classes of the copy of ilib at the given location. Each
+ * instance of the plugin keeps the classes that it loaded, so that the
+ * plugins of a multi-compiler build can each use a different copy.
+ *
+ * @param {string} [location] the root of ilib. Default: the copy
+ * that a module in the current directory would get
+ * @returns {Object} the real "root" of ilib and its classes "ilib",
+ * "Locale", "Utils", "JSUtils" and "LocaleMatcher"
+ */
+function loadIlibClasses(location) {
+    var root = location ? path.resolve(location) : findIlibRoot();
+    if (!root || !fs.existsSync(path.join(root, "lib/ilib.js"))) {
+        throw new Error("ilib-webpack-plugin: could not find ilib" + (location ? " in " + location : "") +
+            ". Install it into the app or set the ilibRoot option to where it is.");
+    }
+    root = fs.realpathSync(root);
+    return {
+        root: root,
+        ilib: require(path.join(root, "lib/ilib-node.js")),
+        Locale: require(path.join(root, "lib/Locale.js")),
+        Utils: require(path.join(root, "lib/Utils.js")),
+        JSUtils: require(path.join(root, "lib/JSUtils.js")),
+        LocaleMatcher: require(path.join(root, "lib/LocaleMatcher.js"))
+    };
+}
+
+function toIlibDataName(str) {
+    return (!str || str === "root" || str === "*") ? "" : str.replace(/[\.:\(\)\/\\\+\-]/g, "_");
+}
+
+/**
+ * Compare two version numbers of the form "major.minor.patch".
+ *
+ * @param {string} left the first version
+ * @param {string} right the second version
+ * @returns {number} less than zero, zero or greater than zero when
+ * left is older than, the same as or newer than right
+ */
+function compareVersions(left, right) {
+    var l = left.split(/[.-]/);
+    var r = right.split(/[.-]/);
+    for (var i = 0; i < 3; i++) {
+        var diff = (parseInt(l[i], 10) || 0) - (parseInt(r[i], 10) || 0);
+        if (diff) {
+            return diff;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Return whether or not a version is in a range of versions. Only
+ * the parts of the semver range syntax that package.json files
+ * commonly use are supported: alternatives separated by "||", each
+ * of which is a list of comparisons with "^", "~", ">=", ">", "<="
+ * "<" or "=".
+ *
+ * @param {string} version the version to check
+ * @param {string} range the range of versions
+ * @returns {boolean} true if the version is in the range
+ */
+function isVersionInRange(version, range) {
+    return range.split("||").some(function(alternative) {
+        return alternative.trim().split(/\s+/).every(function(comparison) {
+            var match = /^(\^|~|>=|>|<=|<|=)?v?(\d+(\.\d+)*)/.exec(comparison);
+            if (!match) {
+                return true; // "*", "x" or ""
+            }
+            var wanted = match[2];
+            var diff = compareVersions(version, wanted);
+            var parts = wanted.split(".");
+            switch (match[1]) {
+            case "^":
+                return diff >= 0 && version.split(".")[0] === parts[0];
+            case "~":
+                return diff >= 0 && version.split(".").slice(0, 2).join(".") === parts.slice(0, 2).join(".");
+            case ">=":
+                return diff >= 0;
+            case ">":
+                return diff > 0;
+            case "<=":
+                return diff <= 0;
+            case "<":
+                return diff < 0;
+            default:
+                return diff === 0;
+            }
+        });
+    });
+}
+
+/**
+ * Check that the copy of ilib that the locale data is taken from is
+ * one that this plugin supports, and that it is the same version as
+ * the copy that the app is built with.
+ *
+ * @param {Object} options the options of the plugin
+ * @param {string} ilibRoot the root of the copy of ilib that the
+ * locale data is taken from
+ * @param {string} [appRoot] the root of the copy of ilib that the
+ * app resolves, if known
+ * @returns {Array.<Error>} the problems found
+ */
+function checkIlibVersion(options, ilibRoot, appRoot) {
+    var problems = [];
+    var severity = options.versionCheck || "warning";
+    if (options.versionCheck === false) {
+        return problems;
+    }
+    var layout = getIlibLayout(ilibRoot);
+    var range = require("./package.json").peerDependencies.ilib;
+    if (!layout.version) {
+        problems.push(makeProblem(severity, "Could not find the version of ilib in " + ilibRoot));
+    } else if (!isVersionInRange(layout.version, range)) {
+        problems.push(makeProblem(severity, "ilib " + layout.version + " in " + ilibRoot +
+            " is not supported. The supported versions are " + range));
+    }
+    if (appRoot && appRoot !== ilibRoot) {
+        var appVersion = getIlibVersion(appRoot);
+        if (appVersion !== layout.version) {
+            problems.push(makeProblem(severity, "The locale data is taken from ilib " + layout.version +
+                " in " + ilibRoot + ", but the app is built with ilib " + appVersion + " in " + appRoot));
+        }
+    }
+    return problems;
+}
+
+/**
+ * Convert a set to an array.
+ *
+ * @param {Set} set to convert
+ * @returns an array with the contents of the set
+ */
+function toArray(set) {
+    var ret = [];
+    set.forEach(function(element) {
+        ret.push(element);
+    });
+    return ret;
+}
+
+function calcTempDir(options) {
+    return path.resolve(options && path.isAbsolute(options.tempDir) ? options.tempDir : path.join(process.cwd(), options.tempDir || 'assets'));
+}
+
+function calcDataRoot(options, ilibRoot) {
+    return getIlibLayout(options.ilibRoot ? path.resolve(options.ilibRoot) : ilibRoot).dataRoot;
+}
+
+var languageDirPattern = /^[a-z][a-z][a-z]?$/;
+var scriptDirPattern = /^[A-Z][a-z][a-z][a-z]$/;
+var regionDirPattern = /^([A-Z][A-Z]|[0-9][0-9][0-9])$/;
+var localeDirPattern = /^[a-z][a-z][a-z]?(-[A-Z][a-z][a-z][a-z])?(-([A-Z][A-Z]|[0-9][0-9][0-9]))?$/;
+
+/**
+ * Return the names of the subdirectories of the given directory.
+ *
+ * @param {string} dir the directory to list
+ * @returns {Array.<string>} the names of the subdirectories, or
+ * an empty array if the directory cannot be read
+ */
+function listDirs(dir) {
+    try {
+        return fs.readdirSync(dir).filter(function(name) {
+            return fs.statSync(path.join(dir, name)).isDirectory();
+        });
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Return true if there is a file with the given name anywhere under
+ * any of the given directories.
+ *
+ * @param {Array.<string>} roots the directories to search
+ * @param {string} name the name of the file to look for
+ * @returns {boolean} true if the file was found
+ */
+function findFile(roots, name) {
+    return roots.some(function(dir) {
+        var list;
+        try {
+            list = fs.readdirSync(dir, {withFileTypes: true});
+        } catch (e) {
+            return false;
+        }
+        return list.some(function(entry) {
+            return entry.isFile() && entry.name === name;
+        }) || findFile(list.filter(function(entry) {
+            return entry.isDirectory();
+        }).map(function(entry) {
+            return path.join(dir, entry.name);
+        }), name);
+    });
+}
+
+/**
+ * Find all of the locales that have a directory under the given
+ * root directory. The directories are laid out the same way as
+ * the ilib data, with one directory for each of the language,
+ * script and region, such as "zh/Hant/TW". A directory that is
+ * named after the whole locale spec, such as "zh-Hant-TW", is
+ * also recognized. The "und" directories for region-only data
+ * are not locales by themselves, so they are skipped.
+ *
+ * @param {string} root the directory to search
+ * @returns {Array.<string>} the specs of the locales found
+ */
+function findLocaleDirs(root) {
+    var locales = [];
+
+    listDirs(root).forEach(function(language) {
+        if (language === "und") {
+            return;
+        }
+        if (!languageDirPattern.test(language)) {
+            if (localeDirPattern.test(language)) {
+                locales.push(language);
+            }
+            return;
+        }
+
+        locales.push(language);
+        listDirs(path.join(root, language)).forEach(function(sub) {
+            if (regionDirPattern.test(sub)) {
+                locales.push(language + "-" + sub);
+            } else if (scriptDirPattern.test(sub)) {
+                locales.push(language + "-" + sub);
+                listDirs(path.join(root, language, sub)).forEach(function(region) {
+                    if (regionDirPattern.test(region)) {
+                        locales.push(language + "-" + sub + "-" + region);
+                    }
+                });
+            }
+        });
+    });
+
+    return locales;
+}
+
+/**
+ * Return true if ilib knows about the language, script and region
+ * of the given locale.
+ *
+ * @param {string} spec the locale spec to check
+ * @param {Object} ilibClasses the classes of ilib to check with
+ * @returns {boolean} true if the locale is known
+ */
+function isKnownLocale(spec, ilibClasses) {
+    var Locale = ilibClasses.Locale;
+    var locale = new Locale(spec);
+    var language = locale.getLanguage();
+    var script = locale.getScript();
+    var region = locale.getRegion();
+
+    // the matcher falls back to English for languages it does not know
+    var likely = new ilibClasses.LocaleMatcher({locale: spec}).getLikelyLocale();
+    if (!language || !likely || likely.getLanguage() !== language) {
+        return false;
+    }
+    if (script && Locale.iso15924.indexOf(script) === -1) {
+        return false;
+    }
+    if (region && !/^[0-9][0-9][0-9]$/.test(region) && !Locale.a2toa3regmap[region]) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Expand the locales option into a list of locale specs. The
+ * option may be an array or a comma-separated string of:
+ *
+ * <ul>
+ * <li>locale specs, which are used as they are, such as "de-DE"
+ * <li>patterns where a "*" stands for one or more subtags, which
+ * are matched against the locales that ilib has data for, such
+ * as "de-*" for all German locales or "*-CH" for all of the
+ * locales of Switzerland
+ * <li>the word "auto", which stands for all of the locales that
+ * the app has translations for in the options.resourceDir
+ * directory
+ * </ul>
+ *
+ * The locales that come from patterns or from the translations
+ * are validated with the LocaleMatcher, and the ones that ilib
+ * knows nothing about are dropped. Locales that are given
+ * explicitly are kept as they are so that typos can be reported.
+ *
+ * @param options the options for this plugin
+ * @param {Object} ilibClasses the classes of ilib that the locales
+ * are validated with
+ * @returns {Array.<string>} the expanded list of locale specs
+ */
+function expandLocales(options, ilibClasses) {
+    var specs = typeof(options.locales) === "string" ? options.locales.split(/\s*,\s*/) : (options.locales || []);
+    var result = [];
+    var seen = new Set();
+    var known;
+
+    function add(locale, explicit) {
+        if (!explicit && !isKnownLocale(locale, ilibClasses)) {
+            if (options.debug) console.log("ilib-webpack-plugin: ignoring unknown locale " + locale);
+            return;
+        }
+        if (!seen.has(locale)) {
+            seen.add(locale);
+            result.push(locale);
+        }
+    }
+
+    specs.forEach(function(spec) {
+        if (spec === "auto") {
+            if (!options.resourceDir) {
+                throw new Error("ilib-webpack-plugin: the locales option contains \"auto\", but there is no resourceDir option to find the translations in");
+            }
+            var found = findLocaleDirs(path.resolve(options.resourceDir)).sort();
+            if (options.debug) console.log("ilib-webpack-plugin: found translations for locales " + found.join(","));
+            found.forEach(function(locale) {
+                add(locale, false);
+            });
+        } else if (spec.indexOf("*") > -1) {
+            if (!known) {
+                known = findLocaleDirs(calcDataRoot(options, ilibClasses.root));
+                // The data for the default region of a language is usually in the
+                // language directory, so there is no directory for locales such as
+                // "de-DE". Add them from the likely locale of each language instead.
+                known.filter(function(locale) {
+                    return languageDirPattern.test(locale);
+                }).forEach(function(language) {
+                    var likely = new ilibClasses.LocaleMatcher({locale: language}).getLikelyLocale();
+                    var region = likely && likely.getRegion();
+                    if (region && known.indexOf(language + "-" + region) === -1 &&
+                            known.indexOf(language + "-" + likely.getScript() + "-" + region) === -1) {
+                        known.push(language + "-" + region);
+                    }
+                });
+                known.sort();
+            }
+            var re = new RegExp("^" + spec.split("*").map(function(part) {
+                return part.replace(/[.?+^$|()\[\]{}\\]/g, "\\$&");
+            }).join("[^-]+(-[^-]+)*") + "$");
+            var matched = known.filter(function(locale) {
+                return re.test(locale);
+            });
+            if (options.debug) console.log("ilib-webpack-plugin: " + spec + " matches locales " + matched.join(","));
+            matched.forEach(function(locale) {
+                add(locale, false);
+            });
+        } else {
+            add(spec, true);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Create a stats object for a file that only exists in memory.
+ *
+ * @param {string} contents the contents of the file
+ * @param {Date} mtime the time the contents last changed
+ * @returns {Object} an object that looks like an fs.Stats
+ */
+function makeVirtualStats(contents, mtime) {
+    function yes() { return true; }
+    function no() { return false; }
+
+    return {
+        dev: 0,
+        ino: 0,
+        mode: 33188,
+        nlink: 1,
+        uid: 0,
+        gid: 0,
+        rdev: 0,
+        size: Buffer.byteLength(contents, "utf-8"),
+        blksize: 4096,
+        blocks: 0,
+        atime: mtime,
+        mtime: mtime,
+        ctime: mtime,
+        birthtime: mtime,
+        atimeMs: mtime.getTime(),
+        mtimeMs: mtime.getTime(),
+        ctimeMs: mtime.getTime(),
+        birthtimeMs: mtime.getTime(),
+        isFile: yes,
+        isDirectory: no,
+        isSymbolicLink: no,
+        isBlockDevice: no,
+        isCharacterDevice: no,
+        isFIFO: no,
+        isSocket: no
+    };
+}
+
+/**
+ * Wrap the input file system of the compiler so that the
+ * locale data files generated by this plugin can be read by
+ * the resolver and by the module builder without ever being
+ * written to disk. Any file that is not in the given store
+ * is read from the wrapped file system as usual.
+ *
+ * @param {Object} inputFileSystem the file system to wrap
+ * @param {Object} store a mapping from full paths to
+ * objects with "contents" and "mtime" properties
+ * @returns {Object} the wrapped file system
+ */
+function wrapInputFileSystem(inputFileSystem, store) {
+    var wrapped = Object.create(inputFileSystem);
+
+    function virtualStat(original) {
+        return function(pathname, options, callback) {
+            var file = store[pathname];
+            if (!file) {
+                return original.apply(inputFileSystem, arguments);
+            }
+            callback = typeof(options) === "function" ? options : callback;
+            process.nextTick(function() {
+                callback(null, makeVirtualStats(file.contents, file.mtime));
+            });
+        };
+    }
+
+    function virtualStatSync(original) {
+        return function(pathname) {
+            var file = store[pathname];
+            return file ? makeVirtualStats(file.contents, file.mtime) : original.apply(inputFileSystem, arguments);
+        };
+    }
+
+    wrapped.stat = virtualStat(inputFileSystem.stat);
+    wrapped.lstat = inputFileSystem.lstat && virtualStat(inputFileSystem.lstat);
+    wrapped.statSync = inputFileSystem.statSync && virtualStatSync(inputFileSystem.statSync);
+    wrapped.lstatSync = inputFileSystem.lstatSync && virtualStatSync(inputFileSystem.lstatSync);
+
+    wrapped.readFile = function(pathname, options, callback) {
+        var file = store[pathname];
+        if (!file) {
+            return inputFileSystem.readFile.apply(inputFileSystem, arguments);
+        }
+        callback = typeof(options) === "function" ? options : callback;
+        process.nextTick(function() {
+            callback(null, Buffer.from(file.contents, "utf-8"));
+        });
+    };
+
+    if (inputFileSystem.readFileSync) {
+        wrapped.readFileSync = function(pathname) {
+            var file = store[pathname];
+            return file ? Buffer.from(file.contents, "utf-8") : inputFileSystem.readFileSync.apply(inputFileSystem, arguments);
+        };
+    }
+
+    return wrapped;
+}
+
+/**
+ * Create a new cache for the contents of the ilib data files.
+ * Each file is read from disk at most once until it is
+ * invalidated, so that in watch mode only the files that
+ * actually changed need to be read again. Files that do not
+ * exist are remembered as well, so that they can be watched
+ * in case they are created later.
+ *
+ * @constructor
+ */
+function DataFileCache() {
+    this.files = {};
+}
+
+/**
+ * @private
+ * @param {string} pathname the full path to the file
+ * @returns {Object} the cache entry for the file
+ */
+DataFileCache.prototype._load = function(pathname) {
+    if (!this.files[pathname] || !this.files[pathname].loaded) {
+        var contents;
+        try {
+            contents = fs.readFileSync(pathname, "utf-8");
+        } catch (e) {
+            if (e.code !== "ENOENT") {
+                throw e;
+            }
+        }
+        this.files[pathname] = {
+            loaded: true,
+            contents: contents
+        };
+    }
+    return this.files[pathname];
+};
+
+/**
+ * Add a file to this cache without reading it, so that it is watched
+ * like the files that were read. This is used for the files that the
+ * locale data in the persistent cache was made from.
+ *
+ * @param {string} pathname the full path to the file
+ * @param {boolean} exists true if the file exists
+ */
+DataFileCache.prototype.add = function(pathname, exists) {
+    if (!this.files[pathname]) {
+        this.files[pathname] = {
+            loaded: false,
+            exists: exists
+        };
+    }
+};
+
+/**
+ * Return true if the given file exists.
+ *
+ * @param {string} pathname the full path to the file
+ * @returns {boolean} true if the file exists
+ */
+DataFileCache.prototype.exists = function(pathname) {
+    return typeof(this._load(pathname).contents) === "string";
+};
+
+/**
+ * Return the contents of the given file.
+ *
+ * @param {string} pathname the full path to the file
+ * @returns {string} the contents of the file
+ * @throws {Error} if the file does not exist
+ */
+DataFileCache.prototype.read = function(pathname) {
+    var contents = this._load(pathname).contents;
+    if (typeof(contents) !== "string") {
+        var e = new Error("ENOENT: no such file or directory, open '" + pathname + "'");
+        e.code = "ENOENT";
+        throw e;
+    }
+    return contents;
+};
+
+/**
+ * Forget the contents of the given file so that it will be
+ * read from disk again the next time it is needed.
+ *
+ * @param {string} pathname the full path to the file
+ * @returns {boolean} true if the file was in the cache
+ */
+DataFileCache.prototype.invalidate = function(pathname) {
+    if (this.files[pathname]) {
+        delete this.files[pathname];
+        return true;
+    }
+    return false;
+};
+
+/**
+ * Return the paths of all the files in this cache.
+ *
+ * @param {boolean} exist true to return the files that exist,
+ * or false to return the files that were found to be missing
+ * @returns {Array.<string>} the full paths to the files
+ */
+DataFileCache.prototype.getFiles = function(exist) {
+    return Object.keys(this.files).filter(function(pathname) {
+        var entry = this.files[pathname];
+        return (entry.loaded ? typeof(entry.contents) === "string" : entry.exists) === exist;
+    }.bind(this));
+};
+
+/**
+ * Return the time that the given file or directory was last modified,
+ * and its size, or null if it does not exist.
+ *
+ * @param {string} pathname the full path to the file
+ * @returns {string|null} the time and the size of the file
+ */
+function getFileStamp(pathname) {
+    try {
+        var stats = fs.statSync(pathname);
+        return stats.mtime.getTime() + ":" + stats.size;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Record the state of the files and directories that the locale data
+ * was made from, so that it is possible to tell later whether the
+ * locale data would still be the same.
+ *
+ * @param {DataFileCache} dataFiles the cache that the data files were
+ * read through
+ * @param {Array.<string>} directories the directories that were listed
+ * @returns {Object} the snapshot
+ */
+function makeSnapshot(dataFiles, directories) {
+    var snapshot = {
+        files: {},
+        missing: dataFiles.getFiles(false),
+        directories: {}
+    };
+    dataFiles.getFiles(true).forEach(function(pathname) {
+        snapshot.files[pathname] = getFileStamp(pathname);
+    });
+    directories.forEach(function(pathname) {
+        snapshot.directories[pathname] = getFileStamp(pathname);
+    });
+    return snapshot;
+}
+
+/**
+ * Return true if none of the files and directories in the given
+ * snapshot changed since it was made.
+ *
+ * @param {Object} snapshot the snapshot from makeSnapshot
+ * @returns {boolean} true if the snapshot is still valid
+ */
+function isSnapshotValid(snapshot) {
+    var same = function(stamps) {
+        return Object.keys(stamps).every(function(pathname) {
+            return getFileStamp(pathname) === stamps[pathname];
+        });
+    };
+    return same(snapshot.files) && same(snapshot.directories) && snapshot.missing.every(function(pathname) {
+        return !fs.existsSync(pathname);
+    });
+}
+
+/**
+ * A persistent cache that keeps each entry in a json file of its
+ * own in the given directory. It has the same interface as the
+ * cache that the plugin gets from webpack 5, except that it calls
+ * the callbacks right away.
+ *
+ * @private
+ * @constructor
+ * @param {string} dir the directory to keep the cache in
+ */
+function DiskCache(dir) {
+    this.dir = dir;
+}
+
+/**
+ * @param {string} key the key of the entry
+ * @param {Function(Error, Object)} callback called with the entry,
+ * or with undefined if there is no entry for the key
+ */
+DiskCache.prototype.get = function(key, callback) {
+    var entry;
+    try {
+        entry = JSON.parse(fs.readFileSync(path.join(this.dir, key + ".json"), "utf-8"));
+    } catch (e) {
+        // not cached yet, or the cache file was damaged
+    }
+    callback(null, entry);
+};
+
+/**
+ * @param {string} key the key of the entry
+ * @param {Object} entry the entry to store
+ * @param {Function(Error)} callback called when the entry is stored
+ */
+DiskCache.prototype.store = function(key, entry, callback) {
+    try {
+        fs.mkdirSync(this.dir, {recursive: true});
+        fs.writeFileSync(path.join(this.dir, key + ".json"), JSON.stringify(entry), "utf-8");
+    } catch (e) {
+        return callback(e);
+    }
+    callback();
+};
+
+/**
+ * Return the files that changed since the last compilation in
+ * watch mode.
+ *
+ * @param compiler the webpack compiler
+ * @returns {Array.<string>|undefined} the full paths to the files
+ * that were modified or removed, or undefined if that is not known
+ */
+function getChangedFiles(compiler) {
+    var changed = [];
+    function add(pathname) {
+        changed.push(pathname);
+    }
+
+    if (compiler.modifiedFiles || compiler.removedFiles) {
+        // webpack 5
+        if (compiler.modifiedFiles) compiler.modifiedFiles.forEach(add);
+        if (compiler.removedFiles) compiler.removedFiles.forEach(add);
+        return changed;
+    }
+
+    var watcher = compiler.watchFileSystem && compiler.watchFileSystem.watcher;
+    if (watcher && watcher.mtimes) {
+        // webpack 4
+        return Object.keys(watcher.mtimes);
+    }
+
+    return undefined;
+}
+
+// the comments in the ilib sources that tell the loader which types of
+// locale data a module needs
+var dataCommentPatterns = [
+    /\/\*\s*!data\s*([^\*]+)\*\//g,
+    /\/\/\s*!data\s*([^\n]+)/g
+];
+
+/**
+ * Find the modules that ask for each type of locale data. These are
+ * the modules that the ilib loader processed, which name the types of
+ * data they need in "!data" comments in their sources.
+ *
+ * @param {Iterable} modules all the modules in the compilation
+ * @returns {Object} a mapping from each type of locale data to the
+ * paths of the modules that ask for it
+ */
+function findDataRequesters(modules) {
+    var requesters = {};
+    modules.forEach(function(module) {
+        var loaded = module.resource && (module.loaders || []).some(function(loader) {
+            return /ilib-webpack-loader/.test(loader.loader);
+        });
+        if (!loaded) return;
+
+        var source;
+        try {
+            source = fs.readFileSync(module.resource, "utf-8");
+        } catch (e) {
+            return;
+        }
+        var name = path.relative(process.cwd(), module.resource);
+        dataCommentPatterns.forEach(function(re) {
+            var match;
+            re.lastIndex = 0;
+            while ((match = re.exec(source)) !== null) {
+                match[1].split(/\s+/).forEach(function(type) {
+                    if (!type) return;
+                    if (!requesters[type]) {
+                        requesters[type] = [];
+                    }
+                    if (requesters[type].indexOf(name) === -1) {
+                        requesters[type].push(name);
+                    }
+                });
+            }
+        });
+    });
+    return requesters;
+}
+
+/**
+ * Find the modules that load any of the locale data files, either
+ * statically or with a dynamic import.
+ *
+ * @param compilation the webpack compilation
+ * @param {Iterable} modules all the modules in the compilation
+ * @param {string} localesDir the directory of the locale data files
+ * @returns {Array.<Object>} the modules that refer to the locale data
+ */
+function findLocaleDataRequirers(compilation, modules, localesDir) {
+    var requirers = [];
+
+    function refersToLocaleData(dependencies) {
+        return dependencies.some(function(dep) {
+            // webpack 5 keeps track of this in the module graph, webpack 4 in the dependency
+            var module = compilation.moduleGraph ? compilation.moduleGraph.getModule(dep) : dep.module;
+            return module && module.resource && path.dirname(module.resource) === localesDir;
+        });
+    }
+
+    modules.forEach(function(module) {
+        var blocks = module.blocks || [];
+        if (refersToLocaleData(module.dependencies || []) || blocks.some(function(block) {
+            return refersToLocaleData(block.dependencies || []);
+        })) {
+            requirers.push(module);
+        }
+    });
+
+    return requirers;
+}
+
+/**
+ * Return the RawSource class of the webpack that runs the given compiler.
+ * Webpack 5 exposes it on the compiler. Webpack 4 does not, so it is
+ * taken from the copy of webpack-sources that webpack itself depends on.
+ *
+ * @param compiler the webpack compiler
+ * @returns {Function} the RawSource class
+ */
+function getRawSource(compiler) {
+    if (compiler.webpack && compiler.webpack.sources) {
+        return compiler.webpack.sources.RawSource;
+    }
+    var webpackDir = path.dirname(require.resolve("webpack/package.json", {
+        paths: [compiler.context || process.cwd()]
+    }));
+    return require(require.resolve("webpack-sources", {
+        paths: [webpackDir]
+    })).RawSource;
+}
+
+/**
+ * Build the given modules again and call the callback when
+ * they are all done.
+ *
+ * @param compilation the webpack compilation
+ * @param {Array.<Object>} modules the modules to build again
+ * @param {Function} callback called with an error, if any, when
+ * all of the modules have been built
+ */
+function rebuildModules(compilation, modules, callback) {
+    var remaining = modules.length;
+    var failed = false;
+    if (!remaining) {
+        return callback();
+    }
+    modules.forEach(function(module) {
+        compilation.rebuildModule(module, function(err) {
+            if (failed) return;
+            if (err) {
+                failed = true;
+                return callback(err);
+            }
+            if (--remaining === 0) {
+                callback();
+            }
+        });
+    });
+}
+
+/**
+ * The name of the part that contains the time zones when the
+ * separateTimeZones option is given.
+ */
+var TIME_ZONE_PART = "zoneinfo";
+
+/**
+ * Return the directories that contain the data for each of the
+ * parts of the given locale, relative to the root of the data.
+ * The root data itself is in the directory ".". The directories
+ * are returned from the least to the most specific, except that
+ * the region-only data in the "und" directory comes last. The
+ * directories of the parts that the fallbacks option inserts into
+ * the chain of the locale come after all of those.
+ *
+ * @param {string} locale the spec of the locale
+ * @param {Object} ilibClasses the classes of ilib to parse it with
+ * @param {Object} [fallbacks] a mapping from locale specs to the specs
+ * of the locales that they fall back to
+ * @returns {Array.<string>} the directories for the locale parts
+ */
+function getLocaleDirs(locale, ilibClasses, fallbacks) {
+    var l = new ilibClasses.Locale(locale);
+
+    var parts = [
+        ".",
+        l.language
+        ];
+
+    if (l.script) {
+        parts.push(l.language + "/" + l.script);
+        if (l.region) {
+            parts.push(l.language + "/" + l.script + "/" + l.region);
+        }
+    }
+    if (l.region) {
+        parts.push(l.language + "/" + l.region);
+        parts.push("und/" + l.region);
+    }
+
+    if (fallbacks && fallbacks[locale]) {
+        getLocaleChain(locale, ilibClasses, fallbacks).map(toLocaleDir).forEach(function(dir) {
+            if (parts.indexOf(dir) === -1) {
+                parts.push(dir);
+            }
+        });
+    }
+
+    return parts;
+}
+
+/**
+ * Return the name of the locale part for the given data directory,
+ * which is also the base name of the file that it is emitted to.
+ *
+ * @param {string} localeDir a directory returned by getLocaleDirs
+ * @returns {string} the name of the part, such as "root" or "en-US"
+ */
+function toPartName(localeDir) {
+    return localeDir === "." ? "root" : localeDir.replace(/\//g, "-");
+}
+
+/**
+ * Return the parts of a locale in the order in which they override
+ * each other, taking the fallbacks option into account. A locale that
+ * falls back to another one, such as "en-AU" to "en-GB", gets the parts
+ * of the other locale inserted into its chain after the parts that
+ * they share and before its own parts, so that its own data still
+ * overrides the data of the other locale:
+ * root, en, und-GB, en-GB, und-AU, en-AU.
+ *
+ * @param {string} locale the spec of the locale
+ * @param {Object} ilibClasses the classes of ilib to parse it with
+ * @param {Object} [fallbacks] a mapping from locale specs to the specs
+ * of the locales that they fall back to
+ * @returns {Array.<string>} the names of the parts
+ */
+function getLocaleChain(locale, ilibClasses, fallbacks) {
+    var Utils = ilibClasses.Utils;
+    var chain = Utils.getSublocales(locale);
+    var seen = [locale];
+    var fallback = fallbacks && fallbacks[locale];
+    while (fallback && seen.indexOf(fallback) === -1) {
+        var inherited = Utils.getSublocales(fallback);
+        chain = inherited.concat(chain.filter(function(part) {
+            return inherited.indexOf(part) === -1;
+        }));
+        seen.push(fallback);
+        fallback = fallbacks[fallback];
+    }
+    return chain;
+}
+
+/**
+ * Return the fallbacks option without the fallbacks that cannot be
+ * applied. ilib only reads the normal parts of a locale at run time,
+ * so the data that a locale inherits from the locale it falls back to
+ * is also merged into the most specific part of the locale. That part
+ * has to belong to the locale alone, or the other locales that load it
+ * would inherit the data as well. This rules out the locales without a
+ * region, such as "pt" or "zh-Hant", whose most specific part is shared
+ * with all of the locales of the language that have one, and the locales
+ * whose most specific part is in the chain of another locale that is
+ * being built, such as "zh-TW" when "zh-Hant-TW" is built too.
+ *
+ * @param {Object} options the options of the plugin
+ * @param {Object} ilibClasses the classes of ilib to parse the locales with
+ * @returns {Object} the "fallbacks" that can be applied, and the "ignored"
+ * ones, which map each locale to the shared part that its data would have
+ * been merged into
+ */
+function getFallbacks(options, ilibClasses) {
+    var Utils = ilibClasses.Utils;
+    var locales = options.locales || [];
+    var result = {
+        fallbacks: {},
+        ignored: {}
+    };
+    for (var locale in (options.fallbacks || {})) {
+        var part = Utils.getSublocales(locale).pop();
+        var shared = !new ilibClasses.Locale(locale).getRegion() || locales.some(function(other) {
+            return other !== locale && Utils.getSublocales(other).indexOf(part) > -1;
+        });
+        if (shared) {
+            result.ignored[locale] = part;
+        } else {
+            result.fallbacks[locale] = options.fallbacks[locale];
+        }
+    }
+    return result;
+}
+
+/**
+ * Return the directory that contains the data of a locale part,
+ * relative to the root of the data.
+ *
+ * @param {string} part the name of the part, such as "root" or "en-US"
+ * @returns {string} the directory, such as "." or "en/US"
+ */
+function toLocaleDir(part) {
+    return part === "root" ? "." : part.replace(/-/g, "/");
+}
+
+/**
+ * The pseudo-locales that are generated when the pseudoLocales option
+ * is true. These are not the ones in ilib.pseudoLocales, because the
+ * ResBundle class ignores the data of those and pseudo-translates the
+ * English data at run time instead.
+ */
+var DEFAULT_PSEUDO_LOCALES = {
+    "zxx-XA": {base: "en-US", style: "accented"},
+    "zxx-Hebr-XB": {base: "en-US", style: "rtl"}
+};
+
+/**
+ * Return the pseudo-locales to generate, with the defaults of their
+ * settings filled in.
+ *
+ * @param {Object} options the options of the plugin
+ * @returns {Object} a mapping from the spec of each pseudo-locale to
+ * the "base" locale that its data is cloned from, the "style" of the
+ * pseudo-translation, which is "accented" or "rtl", and the
+ * "expansion" of the length of the strings
+ */
+function getPseudoLocales(options) {
+    var option = options.pseudoLocales === true ? DEFAULT_PSEUDO_LOCALES : (options.pseudoLocales || {});
+    var pseudoLocales = {};
+    for (var spec in option) {
+        var settings = option[spec] || {};
+        pseudoLocales[spec] = {
+            base: settings.base || "en-US",
+            style: settings.style === "rtl" ? "rtl" : "accented",
+            expansion: typeof(settings.expansion) === "number" ? settings.expansion : 0.3
+        };
+    }
+    return pseudoLocales;
+}
+
+/**
+ * The sets of locale data that the presets option can select. Each one
+ * names the types of locale data, charsets and normalization forms that
+ * a group of ilib classes needs, so that a custom ilib can be assembled
+ * without knowing the names of the data. A preset may include others.
+ */
+var PRESETS = {
+    core: {
+        description: "Locale information, plurals and the system resources that most classes use",
+        data: ["localeinfo", "plurals", "sysres"]
+    },
+    dates: {
+        description: "Formatting of dates, times and durations, and time zones",
+        presets: ["core"],
+        data: ["dateformats", "zoneinfo"]
+    },
+    numbers: {
+        description: "Formatting of numbers, percentages and currencies",
+        presets: ["core"],
+        data: ["currency"]
+    },
+    full: {
+        description: "All of the above, plus the data for addresses, names, phone numbers and their " +
+            "locations, lists, units, collation, character types, charsets and normalization",
+        presets: ["dates", "numbers"],
+        data: ["address", "addressres", "area", "astro", "collation", "countries", "ctrynames",
+            "ctryreverse", "ctype", "ctype_c", "ctype_l", "ctype_m", "ctype_n", "ctype_p", "ctype_s",
+            "ctype_z", "extarea", "extstates", "idd", "iddarea", "list", "localematch", "mnc", "name",
+            "nativecountries", "numplan", "phonefmt", "phoneres", "regionnames", "scripts", "states",
+            "unitfmt", "charset", "charmaps"],
+        charsets: ["UTF-8", "UTF-16", "ISO-8859-1"],
+        normalization: ["nfc", "nfd", "nfkc", "nfkd"]
+    }
+};
+
+/**
+ * Return everything that the given presets include, including what the
+ * presets that they include in turn include.
+ *
+ * @param {string|Array.<string>} names the names of the presets
+ * @returns {Object} the "data", "charsets" and "normalization" arrays
+ * of the presets
+ * @throws {Error} if one of the presets is not known
+ */
+function expandPresets(names) {
+    var data = new Set(), charsets = new Set(), normalization = new Set();
+    var add = function(name) {
+        var preset = PRESETS[name];
+        if (!preset) {
+            throw new Error("ilib-webpack-plugin: Unknown preset " + name + ". The presets are: " +
+                Object.keys(PRESETS).join(", "));
+        }
+        (preset.presets || []).forEach(add);
+        [[data, preset.data], [charsets, preset.charsets], [normalization, preset.normalization]].forEach(function(pair) {
+            (pair[1] || []).forEach(function(name) {
+                pair[0].add(name);
+            });
+        });
+    };
+    (typeof(names) === "string" ? [names] : names || []).forEach(add);
+    return {
+        data: toArray(data),
+        charsets: toArray(charsets),
+        normalization: toArray(normalization)
+    };
+}
+
+/**
+ * Add the data types, charsets and normalization forms of the presets
+ * option to the includeData, includeCharsets and includeNormalization
+ * options, so that the rest of the plugin only has to look at those.
+ * The options are changed in place, because the loader may share the
+ * same object with the plugin.
+ *
+ * @param {Object} options the options of the plugin
+ */
+function applyPresets(options) {
+    if (!options.presets) {
+        return;
+    }
+    var expanded = expandPresets(options.presets);
+    var merge = function(list, additions) {
+        return toArray(new Set((list || []).concat(additions)));
+    };
+    options.includeData = merge(options.includeData, expanded.data);
+    options.includeCharsets = merge(options.includeCharsets, expanded.charsets);
+    options.includeNormalization = merge(options.includeNormalization, expanded.normalization);
+}
+
+/**
+ * Pseudo-translate a string. Each letter is replaced with the one in
+ * the given character map, and the string is padded and marked so that
+ * text that is cut off or was not translated stands out. Replacement
+ * parameters such as "{num}", HTML tags and the selectors of choice
+ * strings such as "1#one day|#{num} days" are kept as they are.
+ *
+ * @param {string} str the string to pseudo-translate
+ * @param {Object} settings the settings of the pseudo-locale
+ * @param {Object} charmap the mapping from each letter to its replacement
+ * @returns {string} the pseudo-translated string
+ */
+function pseudoTranslate(str, settings, charmap) {
+    var segments = str.split("|");
+    var isChoice = segments.every(function(segment) {
+        return /^[^\s#{}<]*#/.test(segment);
+    });
+
+    return segments.map(function(segment) {
+        var selector = "";
+        if (isChoice) {
+            selector = segment.substring(0, segment.indexOf("#") + 1);
+            segment = segment.substring(selector.length);
+        }
+        var length = 0;
+        var text = segment.replace(/(\{[^}]*\}|<[^>]*>)|([^{<]+)/g, function(match, kept, plain) {
+            if (kept) {
+                return kept;
+            }
+            length += plain.length;
+            return plain.split("").map(function(ch) {
+                return charmap[ch] || ch;
+            }).join("");
+        });
+        if (!length) {
+            return selector + segment;
+        }
+        var padding = new Array(Math.ceil(length * settings.expansion) + 1).join("~");
+        if (padding) {
+            text += " " + padding;
+        }
+        return selector + (settings.style === "rtl" ? "\u202B" + text + "\u202C" : "[" + text + "]");
+    }).join("|");
+}
+
+/**
+ * Pseudo-translate all of the strings in some locale data.
+ *
+ * @param {*} data the locale data
+ * @param {Object} settings the settings of the pseudo-locale
+ * @param {Object} charmap the mapping from each letter to its replacement
+ * @returns {*} a copy of the data with the strings pseudo-translated
+ */
+function pseudoTranslateData(data, settings, charmap) {
+    if (typeof(data) === "string") {
+        return pseudoTranslate(data, settings, charmap);
+    }
+    if (Array.isArray(data)) {
+        return data.map(function(item) {
+            return pseudoTranslateData(item, settings, charmap);
+        });
+    }
+    if (isPlainObject(data)) {
+        var result = {};
+        for (var key in data) {
+            result[key] = pseudoTranslateData(data[key], settings, charmap);
+        }
+        return result;
+    }
+    return data;
+}
+
+/**
+ * The request that the app uses to import the generated locale loader
+ * module when the splitLocales option is given.
+ */
+var LOCALE_LOADER_REQUEST = "ilib-webpack-plugin/loadLocale";
+
+/**
+ * Generate the source of the locale loader module. The module installs
+ * the root data right away, and exports a loadLocale function that loads
+ * the rest of the parts of a locale as an async chunk of their own and
+ * installs them in the order in which they override each other, including
+ * the parts that the fallbacks option inserts into the chain.
+ *
+ * @param {Object} options the options of the plugin
+ * @param {Object} ilibClasses the classes of ilib to parse the locales with,
+ * whose root is also the copy of ilib that the module installs the parts into
+ * @param {string} localesDir the directory of the locale part files
+ * @returns {string} the source of the module
+ */
+function makeLocaleLoader(options, ilibClasses, localesDir) {
+    var ilibPath = path.join(ilibClasses.root, "lib", "ilib.js");
+    var partPath = function(part) {
+        return JSON.stringify(path.join(localesDir, part + ".js"));
+    };
+
+    var output =
+        "var ilib = require(" + JSON.stringify(ilibPath) + ");\n" +
+        "var root = require(" + partPath("root") + ");\n" +
+        "root && typeof(root.installLocale) === 'function' && root.installLocale(ilib);\n" +
+        "\n" +
+        "function loadParts(locale) {\n" +
+        "    switch (locale) {\n";
+
+    var fallbacks = getFallbacks(options, ilibClasses).fallbacks;
+    options.locales.forEach(function(locale) {
+        var parts = getLocaleDirs(locale, ilibClasses, fallbacks).map(toPartName);
+        var chunkName = "locale-" + locale;
+        var imports = getLocaleChain(locale, ilibClasses, fallbacks).filter(function(part) {
+            return part !== "root" && parts.indexOf(part) > -1;
+        }).map(function(part) {
+            return "import(/* webpackChunkName: '" + chunkName + "' */ " + partPath(part) + ")";
+        });
+        output +=
+            "    case " + JSON.stringify(locale) + ":\n" +
+            "        return Promise.all([\n" +
+            "            " + imports.join(",\n            ") + "\n" +
+            "        ]);\n";
+    });
+
+    output +=
+        "    }\n" +
+        "    return Promise.reject(new Error('ilib-webpack-plugin: the locale ' + locale + ' was not built into this app'));\n" +
+        "}\n" +
+        "\n" +
+        "module.exports.loadLocale = function(locale) {\n" +
+        "    return loadParts(locale).then(function(modules) {\n" +
+        "        modules.forEach(function(module) {\n" +
+        "            module && typeof(module.installLocale) === 'function' && module.installLocale(ilib);\n" +
+        "        });\n" +
+        "        return locale;\n" +
+        "    });\n" +
+        "};\n";
+
+    return output;
+}
+
+/**
+ * Return the name of the asset that a locale part is emitted as,
+ * relative to the output directory. The name comes from the
+ * localeFilename option, in which "[name]" is replaced with the
+ * name of the part and "[contenthash]" or "[contenthash:n]" with
+ * a hash of the contents of the part.
+ *
+ * @param {Object} options the options of the plugin
+ * @param {string} part the name of the locale part
+ * @param {string} contents the contents of the locale part
+ * @returns {string} the name of the asset
+ */
+function getAssetName(options, part, contents) {
+    var template = options.localeFilename || ("locales/[name]" + (options.format === "json" ? ".json" : ".js"));
+    var hash;
+    return template.replace(/\[name\]/g, part).replace(/\[contenthash(:(\d+))?\]/g, function(match, colon, length) {
+        if (!hash) {
+            hash = crypto.createHash("sha256").update(contents).digest("hex");
+        }
+        return hash.substring(0, length ? Number(length) : 20);
+    });
+}
+
+/**
+ * Format an object as the source of a module in the given output
+ * format. Each property of the object becomes a named export of an
+ * ES module, or a property of the exports of a CommonJS module, so
+ * that the module can be used the same way in both formats.
+ *
+ * @param {Object} object the object to format
+ * @param {string} format the output format, "esm" or "commonjs"
+ * @returns {string} the source of the module
+ */
+function toModule(object, format) {
+    if (format !== "esm") {
+        return "module.exports=" + JSON.stringify(object) + ";\n";
+    }
+    return Object.keys(object).map(function(name) {
+        return "export var " + name + " = " + JSON.stringify(object[name]) + ";\n";
+    }).join("");
+}
+
+/**
+ * Convert the CommonJS source of a locale part to a JSON object that
+ * contains the same data. Each property of the object is a property of
+ * ilib.data that the part would set, so it can be merged into ilib.data
+ * after the part is fetched.
+ *
+ * @param {string} source the CommonJS source of a locale part
+ * @param {Object} ilib the ilib class whose extend function the part
+ * is installed with
+ * @returns {string} the JSON text of the data of the part
+ */
+function toJsonPart(source, ilib) {
+    var sandbox = {
+        module: {
+            exports: {}
+        }
+    };
+    vm.runInNewContext(source, sandbox);
+
+    var data = {
+        norm: {},
+        zoneinfo: {}
+    };
+    ["nfc", "nfd", "nfkc", "nfkd"].forEach(function(form) {
+        data.norm[form] = {};
+    });
+    sandbox.module.exports.installLocale({
+        data: data,
+        extend: ilib.extend
+    });
+
+    // leave out the containers that the part did not add anything to
+    for (var form in data.norm) {
+        if (!Object.keys(data.norm[form]).length) {
+            delete data.norm[form];
+        }
+    }
+    ["norm", "zoneinfo"].forEach(function(name) {
+        if (!Object.keys(data[name]).length) {
+            delete data[name];
+        }
+    });
+
+    return JSON.stringify(data);
+}
+
+/**
+ * Return the subresource integrity hash of the given contents,
+ * which browsers can use to check a locale part after loading it.
+ *
+ * @param {string} contents the contents of a file
+ * @returns {string} the integrity hash
+ */
+function getIntegrity(contents) {
+    return "sha384-" + crypto.createHash("sha384").update(contents).digest("base64");
+}
+
+// The optimizer only parses the lines that assign data to a property of
+// ilib.data. The other lines, such as the normalization data that is added
+// with ilib.extend, are kept as they are.
+var dataLinePattern = /^(ilib\.data[^=\s]*) = ([\s\S]*);\n$/;
+
+function isPlainObject(value) {
+    return typeof(value) === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Remove the properties of the given locale data that are the
+ * same as in all of the given inherited values, because ilib would
+ * get them from the less specific parts anyway. Arrays are never
+ * removed, because ilib concatenates arrays when it merges the parts.
+ *
+ * @param {Object} data the locale data of a part
+ * @param {Array.<Object>} inherited the data that ilib merges the
+ * part onto, once for each of the locales that the part belongs to
+ * @returns {Object} the data without the inherited properties
+ */
+function pruneInherited(data, inherited) {
+    var pruned = {};
+    for (var prop in data) {
+        var value = data[prop];
+        var parents = inherited.map(function(parent) {
+            return isPlainObject(parent) ? parent[prop] : undefined;
+        });
+        if (isPlainObject(value) && parents.every(isPlainObject)) {
+            value = pruneInherited(value, parents);
+            if (Object.keys(value).length) {
+                pruned[prop] = value;
+            }
+        } else if (Array.isArray(value) || !parents.every(function(parent) {
+            return parent === value;
+        })) {
+            pruned[prop] = value;
+        }
+    }
+    return pruned;
+}
+
+/**
+ * Remove the properties of the given locale data that are overridden
+ * by other locale data when ilib merges the two.
+ *
+ * @param {Object} data the locale data
+ * @param {Object} overrides the locale data that overrides it
+ * @returns {Object} the data without the overridden properties
+ */
+function removeOverridden(data, overrides) {
+    var result = {};
+    for (var prop in data) {
+        if (!(prop in overrides)) {
+            result[prop] = data[prop];
+        } else if (isPlainObject(data[prop]) && isPlainObject(overrides[prop])) {
+            var value = removeOverridden(data[prop], overrides[prop]);
+            if (Object.keys(value).length) {
+                result[prop] = value;
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * The types of locale data that ilib loads with the returnOne load
+ * parameter. For these, ilib only uses the data in the most specific
+ * part that has any instead of merging the data of all of the parts,
+ * so nothing is inherited from the less specific parts.
+ */
+var RETURN_ONE_TYPES = ["area", "ctrynames", "extarea", "extstates", "iddarea", "phonefmt", "regionnames", "states"];
+
+/**
+ * Optimize the locale data before it is written out. The JSON in
+ * all of the parts is minified, and the properties of the locale
+ * data in the more specific parts that are the same as what ilib
+ * would inherit from the less specific parts are removed. Data that
+ * ends up empty is removed from its part altogether. The types in
+ * RETURN_ONE_TYPES are only minified, because ilib does not merge them.
+ *
+ * @param {Object} outputSet the lines of each part, keyed by the
+ * name of the part and then the name of the data
+ * @param {Array.<string>} locales the locales being built
+ * @param {Set.<string>} localeData the types of locale data
+ * @param {Object} ilibClasses the classes of ilib to merge the data with
+ * @returns {Array.<Object>} the part and the type of each piece
+ * of locale data that was removed
+ */
+function optimizeLocaleData(outputSet, locales, localeData, ilibClasses) {
+    var Utils = ilibClasses.Utils;
+    var JSUtils = ilibClasses.JSUtils;
+    var parsed = {};
+    var part, key, match;
+
+    for (part in outputSet) {
+        parsed[part] = {};
+        for (key in outputSet[part]) {
+            if ((match = dataLinePattern.exec(outputSet[part][key])) !== null) {
+                parsed[part][key] = {
+                    name: match[1],
+                    data: JSON.parse(match[2])
+                };
+            }
+        }
+    }
+
+    // find what each part inherits for each of the locales it belongs to
+    var inherited = {};
+    locales.forEach(function(locale) {
+        var merged = {};
+        Utils.getSublocales(locale).forEach(function(part) {
+            if (!parsed[part]) return;
+            localeData.forEach(function(type) {
+                var entry = parsed[part][type];
+                if (!entry || !isPlainObject(entry.data) || RETURN_ONE_TYPES.indexOf(type) > -1) return;
+                if (part !== "root") {
+                    var key = part + "/" + type;
+                    if (!inherited[key]) {
+                        inherited[key] = [];
+                    }
+                    inherited[key].push(merged[type] || {});
+                }
+                merged[type] = JSUtils.merge(merged[type] || {}, entry.data);
+            });
+        });
+    });
+
+    var removed = [];
+    for (part in parsed) {
+        for (key in parsed[part]) {
+            var entry = parsed[part][key];
+            var data = entry.data;
+            if (inherited[part + "/" + key]) {
+                data = pruneInherited(data, inherited[part + "/" + key]);
+                if (!Object.keys(data).length) {
+                    outputSet[part][key] = "";
+                    removed.push({part: part, type: key});
+                    continue;
+                }
+            }
+            outputSet[part][key] = entry.name + " = " + JSON.stringify(data) + ";\n";
+        }
+    }
+
+    return removed;
+}
+
+/**
+ * Format the build report that emitLocaleData returns as text that
+ * is easy for people to read.
+ *
+ * @param {Object} buildReport the report to format
+ * @returns {string} the text of the report
+ */
+function formatReport(buildReport) {
+    var text = "ilib locale data report\n";
+
+    for (var part in buildReport.parts) {
+        var info = buildReport.parts[part];
+        text += "\nPart " + part + " (" + (info.file || "not emitted") + "): " + info.size + " bytes\n";
+        info.data.slice().sort(function(left, right) {
+            return right.minifiedSize - left.minifiedSize;
+        }).forEach(function(data) {
+            text += "    " + data.file + " [" + data.type + "]: " + data.size + " bytes, " + data.minifiedSize + " minified\n";
+        });
+    }
+
+    text += "\nLocales:\n";
+    for (var locale in buildReport.locales) {
+        var localeInfo = buildReport.locales[locale];
+        text += "    " + locale + ": " + localeInfo.size + " bytes (" + localeInfo.parts.join(", ") + ")\n";
+    }
+
+    text += "\nTotal: " + buildReport.size + " bytes\n";
+    return text;
+}
+
+/**
+ * Return the types of locale data to include. The app may need types
+ * of data that the loaders cannot see it using, or know that it never
+ * uses some of the types that they found.
+ *
+ * @param {Object} options the options of the plugin
+ * @param {Set.<string>} localeData the types that the loaders asked for
+ * @returns {Set.<string>} the types to include
+ */
+function selectDataTypes(options, localeData) {
+    var types = new Set(toArray(localeData).concat(options.includeData || []));
+    (options.excludeData || []).forEach(function(type) {
+        types.delete(type);
+    });
+    return types;
+}
+
+/**
+ * Make a sandbox that has a copy of ilib of its own, so that the
+ * generated locale data can be installed and used without touching
+ * the copy of ilib that this plugin uses. The modules of ilib are
+ * loaded into a separate vm context with a minimal CommonJS require.
+ *
+ * @param {string} root the root of ilib
+ * @returns {Object} the vm "context", a "require" function that loads
+ * a module relative to the root of ilib, and a "run" function that
+ * evaluates a CommonJS module from its source
+ */
+function makeSandbox(root) {
+    var noop = function() {};
+    var context = vm.createContext({
+        console: {log: noop, info: noop, warn: noop, error: noop, debug: noop}
+    });
+    var cache = {};
+
+    function run(source, filename, module) {
+        module = module || {exports: {}};
+        var wrapper = vm.runInContext("(function(exports, require, module, __filename, __dirname) {" +
+            source + "\n})", context, {filename: filename});
+        wrapper.call(module.exports, module.exports, function(request) {
+            return load(path.resolve(path.dirname(filename), request));
+        }, module, filename, path.dirname(filename));
+        return module.exports;
+    }
 
-function loadIlibClasses(location) {
-    if (location) {
-        ilib = require(path.join(location, "lib/ilib-node.js"));
-        Locale = require(path.join(location, "lib/Locale.js"));
-        Utils = require(path.join(location, "lib/Utils.js"));
-        LocaleMatcher = require(path.join(location, "lib/LocaleMatcher.js"));
-    } else {
-        ilib = require("ilib");
-        Locale = require('ilib/lib/Locale.js');
-        Utils = require('ilib/lib/Utils.js');
-        LocaleMatcher = require('ilib/lib/LocaleMatcher.js');
+    function load(pathname) {
+        if (!path.extname(pathname)) {
+            pathname += ".js";
+        }
+        if (!cache[pathname]) {
+            // modules that require each other get the exports so far
+            cache[pathname] = {exports: {}};
+            run(fs.readFileSync(pathname, "utf-8"), pathname, cache[pathname]);
+        }
+        return cache[pathname].exports;
     }
+
+    return {
+        context: context,
+        require: function(name) {
+            return load(path.join(root, name));
+        },
+        run: run
+    };
 }
 
-function makeDirs(path) {
-    var parts = path.split(/[\\\/]/);
+/**
+ * The code that exercises the ilib classes that use each type of locale
+ * data in the self test. Each one runs inside the sandbox with the
+ * variables "require", "locale" and "name" defined.
+ */
+var selfTests = {
+    dateformats: 'require("lib/GregorianCal.js");\n' +
+        'var GregorianDate = require("lib/GregorianDate.js"), DateFmt = require("lib/DateFmt.js");\n' +
+        'new DateFmt({locale: locale, calendar: "gregorian", length: "full", timezone: "Etc/UTC", sync: true}).\n' +
+        '    format(new GregorianDate({year: 2020, month: 3, day: 4, timezone: "Etc/UTC", sync: true}));',
+    localeinfo: 'var NumFmt = require("lib/NumFmt.js");\n' +
+        'new NumFmt({locale: locale, sync: true}).format(1234567.5);',
+    currency: 'var NumFmt = require("lib/NumFmt.js"), LocaleInfo = require("lib/LocaleInfo.js");\n' +
+        'var currency = new LocaleInfo(locale, {sync: true}).getCurrency();\n' +
+        'new NumFmt({locale: locale, type: "currency", currency: currency, sync: true}).format(1234567.5);',
+    zoneinfo: 'var TimeZone = require("lib/TimeZone.js"), LocaleInfo = require("lib/LocaleInfo.js");\n' +
+        'new TimeZone({id: new LocaleInfo(locale, {sync: true}).getTimeZone(), sync: true}).getRawOffset();',
+    normalization: 'var NormString = require("lib/NormString.js");\n' +
+        'NormString.init({form: name, sync: true});\n' +
+        'new NormString("\\u00C5\\u0301\\uFB01").normalize(name);',
+    charmaps: 'require("lib/CharmapTable.js");\n' +
+        'var CharmapFactory = require("lib/CharmapFactory.js");\n' +
+        'var charmap = CharmapFactory({name: name, sync: true});\n' +
+        'charmap.mapToUnicode(charmap.mapToNative("abc"));'
+};
+
+/**
+ * Test the emitted locale data the way an app would use it. The locale
+ * parts are installed into a copy of ilib in a sandbox that cannot load
+ * any data, and then the data of each type is looked up for each locale
+ * and the ilib classes that use it are exercised. Data files that ilib
+ * would have to load at run time because they are not in the parts, and
+ * files listed in the remote manifest that were not emitted, are
+ * reported as problems.
+ *
+ * @param {Object} options the options of the plugin
+ * @param {string} ilibRoot the root of the copy of ilib to test with
+ * @param {Object} emitted the result of emitLocaleData
+ * @param {Set.<string>} localeData the types of locale data
+ * @returns {Array.<Error>} the problems found
+ */
+function selfTestLocaleData(options, ilibRoot, emitted, localeData) {
+    var problems = [];
+    var severity = options.selfTest === "error" ? "error" : "warning";
+    var outputPath = path.join(calcTempDir(options), "locales");
+    var dataRoots = [calcDataRoot(options, ilibRoot)].concat((options.customDataRoots || []).map(function(dir) {
+        return path.resolve(dir);
+    }));
+    var reported = new Set();
+    var report = function(message, details) {
+        if (!reported.has(message)) {
+            reported.add(message);
+            problems.push(makeProblem(severity, message, details));
+        }
+    };
+    var toCommonJS = function(source) {
+        return source.
+            replace(/^export function installLocale\(/m, "module.exports.installLocale = function(").
+            replace(/^export var (\w+) =/gm, "module.exports.$1 =");
+    };
 
-    for (var i = 1; i <= parts.length; i++) {
-        var p = parts.slice(0, i).join("/");
-        if (p && p.length > 0 && !fs.existsSync(p)) {
-            fs.mkdirSync(p);
+    // Every file in the remote manifest has to be emitted. In the json format,
+    // the files are the names of the assets relative to the manifest. In the
+    // other formats, they are the logical names of the parts, which the parts
+    // property maps to the names of the assets.
+    var manifestPath = path.join(outputPath, "remotemanifest.js");
+    var json = options.format === "json";
+    var emittedNames = new Set();
+    for (var pathname in emitted.assetNames) {
+        if (emitted.assetNames[pathname]) {
+            emittedNames.add(emitted.assetNames[pathname]);
         }
     }
-}
+    var sandbox = makeSandbox(ilibRoot);
+    try {
+        var manifest = json ?
+            JSON.parse(emitted.assetContents[manifestPath]) :
+            sandbox.run(toCommonJS(emitted.sources[manifestPath]), manifestPath);
+        var manifestDir = path.posix.dirname(emitted.assetNames[manifestPath] || "locales/remotemanifest.js");
+        manifest.files.forEach(function(file) {
+            var part = manifest.parts[path.basename(file, path.extname(file))];
+            if (!emittedNames.has(path.posix.join(manifestDir, file)) &&
+                    (json || !part || !emittedNames.has(part.file))) {
+                report("The remote manifest lists the file " + file + ", but it was not emitted", {
+                    file: manifestPath
+                });
+            }
+        });
+        for (var part in manifest.parts) {
+            if (!emittedNames.has(manifest.parts[part].file)) {
+                report("The remote manifest lists the file " + manifest.parts[part].file + " for the part " + part +
+                    ", but it was not emitted", {
+                    file: manifestPath
+                });
+            }
+        }
+    } catch (e) {
+        report("Could not load the remote manifest: " + e.message, {
+            file: manifestPath
+        });
+    }
 
-function toIlibDataName(str) {
-    return (!str || str === "root" || str === "*") ? "" : str.replace(/[\.:\(\)\/\\\+\-]/g, "_");
-}
+    // install all of the parts, the way that the assembled bundle does
+    var ilib = sandbox.require("index.js");
+    var current;
+    var requested = [];
+    ilib.setLoaderCallback(function(paths, sync, params, callback) {
+        paths.forEach(function(file) {
+            // ilib asks for non-locale data in subdirectories, such as
+            // charset/ISO-8859-15.json, even when it already has it
+            if (!ilib.data[toIlibDataName(file.replace(/\.json$/, ""))]) {
+                requested.push({locale: current, file: file});
+            }
+        });
+        var result = paths.map(function() {
+            return undefined;
+        });
+        if (typeof(callback) === "function") {
+            callback(result);
+        }
+        return result;
+    });
+    Object.keys(emitted.sources).filter(function(pathname) {
+        return path.dirname(pathname) === outputPath && /\.js$/.test(pathname) &&
+            ["localmanifest.js", "remotemanifest.js"].indexOf(path.basename(pathname)) === -1;
+    }).sort().forEach(function(pathname) {
+        try {
+            sandbox.run(toCommonJS(emitted.sources[pathname]), pathname).installLocale(ilib);
+        } catch (e) {
+            report("The locale part " + path.basename(pathname, ".js") + " could not be installed: " + e.message, {
+                file: pathname
+            });
+        }
+    });
+
+    var test = function(code, locale, name, what) {
+        current = locale;
+        try {
+            vm.runInContext("(function(require, locale, name) {\n" + code + "\n})", sandbox.context)(sandbox.require, locale, name);
+        } catch (e) {
+            report(what + " failed: " + (e && e.message || e), {
+                locale: locale,
+                dataType: name
+            });
+        }
+    };
+
+    var types = toArray(localeData);
+    options.locales.forEach(function(locale) {
+        types.forEach(function(type) {
+            normPattern.lastIndex = 0;
+            if (["zoneinfo", "charset", "charmaps"].indexOf(type) === -1 && !normPattern.test(type)) {
+                test('require("lib/Utils.js").loadData({name: name + ".json", locale: locale, sync: true, callback: function() {}});',
+                    locale, type, "Looking up the " + type + " data");
+            }
+            // the charmaps are tested once for each charset below
+            if (selfTests[type] && type !== "charmaps") {
+                test(selfTests[type], locale, type, "Using the " + type + " data");
+            }
+        });
+    });
+
+    // the data that does not depend on the locale is tested once
+    var forms = new Set();
+    types.forEach(function(type) {
+        var match;
+        normPattern.lastIndex = 0;
+        if ((match = normPattern.exec(type)) !== null) {
+            forms.add(match[1]);
+        }
+    });
+    forms.forEach(function(form) {
+        test(selfTests.normalization, undefined, form, "Normalizing to " + form);
+    });
+    ((emitted.report.parts.root || {}).data || []).filter(function(entry) {
+        return entry.type === "charmaps";
+    }).forEach(function(entry) {
+        var charset = path.basename(entry.file, ".json");
+        test(selfTests.charmaps, undefined, charset, "Mapping the charset " + charset);
+    });
 
-function findIlibRoot() {
-    var dir = module.paths.find(function(p) {
-        return fs.existsSync(path.join(p, "ilib/package.json"));
+    // Only the files that exist are a problem. The others are recorded as
+    // empty, and ilib would not get anything for them anyway.
+    requested.forEach(function(request) {
+        var exists = dataRoots.some(function(root) {
+            return fs.existsSync(path.join(root, request.file));
+        });
+        if (exists) {
+            report((request.locale ? "The locale " + request.locale : "The app") + " would have to load " +
+                request.file + " at run time, because its data is not in the locale parts", {
+                locale: request.locale,
+                file: request.file
+            });
+        }
     });
-    return dir && path.join(dir, "ilib");
+
+    return problems;
 }
 
 /**
- * Convert a set to an array.
+ * Create an error or a warning to report to the webpack compilation.
  *
- * @param {Set} set to convert
- * @returns an array with the contents of the set
+ * @param {string} severity either "error" or "warning"
+ * @param {string} message a description of the problem
+ * @param {Object} details the "locale", "dataType" and "file"
+ * that the problem is about, if known
+ * @returns {Error} the problem to report
  */
-function toArray(set) {
-    var ret = [];
-    set.forEach(function(element) {
-        ret.push(element);
-    });
-    return ret;
-}
-
-function calcDataRoot(options) {
-    var ilibRoot = options.ilibRoot;
-    if (!ilibRoot) {
-        return path.join(findIlibRoot(), "locale");
-    } else {
-        return path.join(ilibRoot, (options.compilation && options.compilation === "uncompiled") ? "data/locale" : "locale");
-    }
+function makeProblem(severity, message, details) {
+    details = details || {};
+
+    var where = [];
+    if (details.locale) where.push("locale " + details.locale);
+    if (details.dataType) where.push("data type " + details.dataType);
+    if (details.file) where.push("file " + details.file);
+
+    var problem = new Error("ilib-webpack-plugin: " + message + (where.length ? " (" + where.join(", ") + ")" : ""));
+    problem.severity = severity;
+    problem.locale = details.locale;
+    problem.dataType = details.dataType;
+    problem.file = details.file;
+    problem.hideStack = true; // webpack should only print the message
+    return problem;
 }
 
 var normPattern = /(nfc|nfd|nfkc|nfkd)(\/(\w+))?/g;
 
-// keep track of whether or not the locale data has already been emitted
-var localeDataEmitted;
-
 /**
  * Produce a set of js files that contain the necessary
  * locale data. These files are output into js files, one
@@ -115,21 +1928,41 @@ var localeDataEmitted;
  * order such that the more specific data overrides
  * the less specific data.
  *
+ * The files are not written to disk. Instead, the contents
+ * are returned so that the plugin can serve them to the
+ * compilation as in-memory modules and emit them as assets.
+ *
  * @param compilation the webpack compilation
  * @param options the options for this loader from
  * the webpack.config.js
- * @returns {Array.<string>} an array of files that
- * were emitted by this function
+ * @param {Object} ilibClasses the classes of the copy of ilib
+ * that the data is taken from
+ * @param {Set.<string>} localeData the names of the types
+ * of locale data to include
+ * @param {DataFileCache} dataFiles the cache to read the
+ * ilib data files through
+ * @returns {Object} an object with a "sources" property that
+ * maps the full path of each file that was generated by this
+ * function to its contents, an "assetNames" property that maps
+ * the full path of each locale part to the name of the asset
+ * it is emitted as, or to null for parts that are not emitted
+ * because they are empty, an "assetContents" property that maps
+ * the full path of the files whose asset differs from the module
+ * that is given to the compilation to the contents of the asset,
+ * a "report" property that describes the
+ * contents and sizes of the parts, a "directories" property that lists
+ * the directories that were read, and a "problems" property that
+ * contains an array of errors and warnings to report
  */
-function emitLocaleData(compilation, options) {
-    if (localeDataEmitted) {
-        return localeDataEmitted;
-    }
-
+function emitLocaleData(compilation, options, ilibClasses, localeData, dataFiles) {
+    var Locale = ilibClasses.Locale;
+    var Utils = ilibClasses.Utils;
+    var JSUtils = ilibClasses.JSUtils;
+    var LocaleMatcher = ilibClasses.LocaleMatcher;
     var outputFileName, output;
     var scripts = new Set();
     var normalizations = {};
-    var outputDir = path.resolve(options && path.isAbsolute(options.tempDir) ? options.tempDir : path.join(process.cwd(), options.tempDir || 'assets'));
+    var outputDir = calcTempDir(options);
     var sources = {};
 
     var charsets = new Set();
@@ -137,9 +1970,274 @@ function emitLocaleData(compilation, options) {
     var lang2charset;
     var outputSet = {};
     var match;
-    var root = options.ilibRoot || findIlibRoot();
-    var dataRoot = calcDataRoot(options);
+    var dataRoot = calcDataRoot(options, ilibClasses.root);
     var manifest = new Set(); // list of all locale data files that were processed
+    var problems = [];
+    var reported = new Set();
+    var localeDependent = new Set(); // data types that have data for more than just the root
+    var found = {}; // the data types that each locale has locale-specific data for
+    var typesFound = new Set(); // the data types that any of the parts have data for
+    var contents = {}; // where each line of each part came from
+    var directories = new Set(); // the directories that were listed
+
+    function report(severity, message, details) {
+        var problem = makeProblem(severity, message, details);
+        // some data is processed once per locale, so only report each problem once
+        if (!reported.has(problem.message)) {
+            reported.add(problem.message);
+            problems.push(problem);
+        }
+    }
+
+    // Add a line of data to a part, and remember where it came from for the
+    // build report. The sources are the files that the data was read from,
+    // which are the files in the data roots at the relative path by default.
+    function addLine(part, key, line, data, relPath, type, sources) {
+        if (!outputSet[part]) {
+            outputSet[part] = {};
+        }
+        outputSet[part][key] = line;
+        manifest.add(relPath);
+
+        var minified;
+        try {
+            minified = JSON.stringify(JSON.parse(data));
+        } catch (e) {
+            minified = data;
+        }
+        if (!contents[part]) {
+            contents[part] = {};
+        }
+        contents[part][key] = {
+            file: relPath,
+            type: type,
+            size: Buffer.byteLength(data),
+            minifiedSize: Buffer.byteLength(minified),
+            sources: sources || findDataSources(relPath)
+        };
+    }
+
+    // the custom data roots override the stock ilib data, and later ones
+    // override earlier ones
+    var dataRoots = [dataRoot].concat((options.customDataRoots || []).map(function(dir) {
+        return path.resolve(dir);
+    }));
+
+    // Return the files in the data roots that the given data file is read from.
+    function findDataSources(relPath) {
+        return dataRoots.map(function(root) {
+            return path.join(root, relPath);
+        }).filter(function(pathname) {
+            return dataFiles.exists(pathname);
+        });
+    }
+
+    // Return true if the given data file exists in any of the data roots.
+    function dataExists(relPath) {
+        return dataRoots.some(function(root) {
+            return dataFiles.exists(path.join(root, relPath));
+        });
+    }
+
+    // Read the given data file from all of the data roots and merge the custom
+    // data on top of the stock ilib data. Each file is checked to make sure that
+    // it is valid JSON so that we don't paste broken data into the output.
+    function readData(relPath) {
+        var texts = [];
+        var merged;
+        dataRoots.forEach(function(root) {
+            var cwdToData = path.join(root, relPath);
+            if (dataFiles.exists(cwdToData)) {
+                var text = dataFiles.read(cwdToData);
+                var json;
+                try {
+                    json = JSON.parse(text);
+                } catch (e) {
+                    e.file = cwdToData;
+                    throw e;
+                }
+                texts.push(text);
+                merged = (texts.length === 1) ? json : JSUtils.merge(merged, json, true);
+            }
+        });
+        if (texts.length === 0) {
+            // throws the usual error for a missing file
+            dataFiles.read(path.join(dataRoot, relPath));
+        }
+        return (texts.length === 1) ? texts[0] : JSON.stringify(merged);
+    }
+
+    // List the data files in the given directory of all of the data roots.
+    function listData(relPath) {
+        var names = new Set();
+        dataRoots.forEach(function(root) {
+            var dir = path.join(root, relPath);
+            directories.add(dir);
+            if (root === dataRoot || fs.existsSync(dir)) {
+                fs.readdirSync(dir).forEach(function(name) {
+                    names.add(name);
+                });
+            }
+        });
+        return toArray(names).sort();
+    }
+
+    var pseudoLocales = getPseudoLocales(options);
+    var pseudoMaps = {};
+
+    // Return the mapping of letters for the given style of pseudo-translation.
+    // These come from the same data that ilib uses to pseudo-translate the
+    // resources of its own pseudo-locales at run time.
+    function getPseudoMap(style) {
+        if (!pseudoMaps[style]) {
+            var relPath = (style === "rtl" && dataExists("zxx/Hebr/pseudomap.json")) ?
+                "zxx/Hebr/pseudomap.json" :
+                "pseudomap.json";
+            try {
+                pseudoMaps[style] = JSON.parse(readData(relPath));
+            } catch (e) {
+                report("error", "Could not read the pseudo-translation map: " + e.message, {
+                    file: e.file || path.join(dataRoot, relPath)
+                });
+                pseudoMaps[style] = {};
+            }
+        }
+        return pseudoMaps[style];
+    }
+
+    // Merge the data of the given file in each of the parts of the base locale
+    // of a pseudo-locale in the order in which they override each other.
+    // Returns the merged data along with the files that findSources says that
+    // it came from.
+    function mergeBaseData(base, name, read, findSources) {
+        var result = {sources: [], data: undefined};
+        getLocaleChain(base, ilibClasses, fallbacks).forEach(function(sublocale) {
+            var relPath = path.join(toLocaleDir(sublocale), name);
+            var json = read(relPath);
+            if (json !== undefined) {
+                result.sources = result.sources.concat(findSources(relPath));
+                result.data = (result.data === undefined) ? json : JSUtils.merge(result.data, json, true);
+            }
+        });
+        return result;
+    }
+
+    // Clone the data of the base locale of a pseudo-locale into the part of
+    // the pseudo-locale itself, which overrides all of the parts above it.
+    // The translatable strings are pseudo-translated on the way.
+    function addPseudoData(locale, type) {
+        var settings = pseudoLocales[locale];
+        var localeDir = getLocaleDirs(locale, ilibClasses).filter(function(dir) {
+            return toPartName(dir) === new Locale(locale).getSpec();
+        })[0];
+        if (!localeDir) {
+            return;
+        }
+        var merged;
+        try {
+            merged = mergeBaseData(settings.base, type + ".json", function(relPath) {
+                return dataExists(relPath) ? JSON.parse(readData(relPath)) : undefined;
+            }, findDataSources);
+        } catch (e) {
+            report("error", "Could not read the locale data of the base locale " + settings.base + ": " + e.message, {
+                locale: locale,
+                dataType: type,
+                file: e.file
+            });
+            return;
+        }
+        if (merged.data === undefined) {
+            return;
+        }
+        var part = toPartName(localeDir);
+        var data = JSON.stringify(type === "sysres" ?
+            pseudoTranslateData(merged.data, settings, getPseudoMap(settings.style)) :
+            merged.data);
+        var line = "ilib.data." + toIlibDataName(type) + "_" + toIlibDataName(part) + " = " + data + ";\n";
+        addLine(part, type, line, data, path.join(localeDir, type + ".json"), type, merged.sources);
+        found[locale].add(type);
+    }
+
+    var usableFallbacks = getFallbacks(options, ilibClasses);
+    var fallbacks = usableFallbacks.fallbacks;
+    for (var ignored in usableFallbacks.ignored) {
+        report("warning", "The fallback of the locale " + ignored + " to " + options.fallbacks[ignored] +
+            " is ignored, because its data would have to be merged into the " + usableFallbacks.ignored[ignored] +
+            " part, which other locales use too", {
+            locale: ignored
+        });
+    }
+
+    // Merge the data of the given file in the parts that the fallbacks option
+    // inserts into the chain of a locale, so that it can be put into the most
+    // specific part of the locale. ilib only merges the locale's own parts at
+    // run time, so the properties that those parts override in the chain are
+    // left out of the data of the inserted parts. Returns the merged data
+    // along with the files that findSources says that it came from, or
+    // undefined if the inserted parts have no data.
+    function mergeFallbackData(locale, name, read, findSources) {
+        var own = Utils.getSublocales(locale);
+        var target = own[own.length - 1];
+        var chain = getLocaleChain(locale, ilibClasses, fallbacks);
+        var result = {sources: [], data: undefined};
+        var addSources = function(relPath) {
+            result.sources = result.sources.concat(findSources(relPath));
+        };
+
+        chain.forEach(function(part, i) {
+            if (own.indexOf(part) > -1) return;
+            var relPath = path.join(toLocaleDir(part), name);
+            var json = read(relPath);
+            if (json === undefined) return;
+            chain.slice(i + 1).forEach(function(later) {
+                var overrides = (later !== target && own.indexOf(later) > -1) ?
+                    read(path.join(toLocaleDir(later), name)) :
+                    undefined;
+                if (overrides !== undefined) {
+                    json = removeOverridden(json, overrides);
+                }
+            });
+            addSources(relPath);
+            result.data = (result.data === undefined) ? json : JSUtils.merge(result.data, json, true);
+        });
+        if (result.data === undefined) {
+            return undefined;
+        }
+
+        var relPath = path.join(toLocaleDir(target), name);
+        var json = read(relPath);
+        if (json !== undefined) {
+            addSources(relPath);
+            result.data = JSUtils.merge(result.data, json, true);
+        }
+        return result;
+    }
+
+    // Put the data that a locale inherits from the locale it falls back to
+    // into the most specific part of the locale.
+    function addFallbackData(locale, type) {
+        var merged;
+        try {
+            merged = mergeFallbackData(locale, type + ".json", function(relPath) {
+                return dataExists(relPath) ? JSON.parse(readData(relPath)) : undefined;
+            }, findDataSources);
+        } catch (e) {
+            report("error", "Could not read the locale data of the fallback locale " + fallbacks[locale] + ": " + e.message, {
+                locale: locale,
+                dataType: type,
+                file: e.file
+            });
+            return;
+        }
+        if (!merged) {
+            return;
+        }
+        var part = Utils.getSublocales(locale).pop();
+        var data = JSON.stringify(merged.data);
+        var line = "ilib.data." + toIlibDataName(type) + "_" + toIlibDataName(part) + " = " + data + ";\n";
+        addLine(part, type, line, data, path.join(toLocaleDir(part), type + ".json"), type, merged.sources);
+        found[locale].add(type);
+    }
 
     var locales = options.locales;
     locales.forEach(function(locale) {
@@ -151,6 +2249,14 @@ function emitLocaleData(compilation, options) {
     });
     if (options.debug) console.log("ilib-webpack-plugin: emitting locale data for locales " + locales.join(","));
 
+    // Many locales have no data of their own for some of the types in the
+    // presets, such as collation, so those are only checked below when the
+    // code of the app asked for them.
+    var presetTypes = new Set(expandPresets(options.presets).data.filter(function(type) {
+        return !localeData.has(type);
+    }));
+    localeData = selectDataTypes(options, localeData);
+
     locales.forEach(function(locale) {
         localeData.forEach(function(filename) {
             normPattern.lastIndex = 0;
@@ -159,12 +2265,17 @@ function emitLocaleData(compilation, options) {
                 // If they just use the generic "charset" or "charmaps" data, then
                 // we figure out which charsets are appropriate for the locale
                 if (!lang2charset) {
-                    var fileName = path.join(dataRoot, "lang2charset.json");
-
-                    if (fileName[0] !== '/' && fileName[0] !== '.' ) {
-                        fileName = "./" + fileName;
+                    var cwdToData = path.join(dataRoot, "lang2charset.json");
+                    try {
+                        lang2charset = JSON.parse(readData("lang2charset.json"));
+                    } catch (e) {
+                        report("error", "Could not read the charsets for each language: " + e.message, {
+                            locale: locale,
+                            dataType: filename,
+                            file: e.file || cwdToData
+                        });
+                        lang2charset = {};
                     }
-                    lang2charset = require(fileName);
                 }
 
                 var l = new Locale(locale);
@@ -197,19 +2308,41 @@ function emitLocaleData(compilation, options) {
                 // time zone data in the zoneinfo files are a special case because they are non-locale data
                 // console.log(">>>>>>>>>>>>> processing zoneinfo. cwd is " + process.cwd());
                 var cwdToData = path.join(dataRoot, "zoneinfo/zonetab.json");
-                var data = fs.readFileSync(cwdToData, "utf-8");
-                var zonetab = JSON.parse(data);
+                var data, zonetab;
+                try {
+                    data = readData("zoneinfo/zonetab.json");
+                    zonetab = JSON.parse(data);
+                } catch (e) {
+                    report("error", "Could not read the time zone table: " + e.message, {
+                        dataType: filename,
+                        file: e.file || cwdToData
+                    });
+                    return;
+                }
                 // console.log(">>>>>>>>>>>>> got zone tab.");
                 var line = 'ilib.data.zoneinfo.zonetab = ' + data + ';\n';
-                if (!outputSet.root) {
-                    outputSet.root = {};
+                addLine("root", "zonetab", line, data, "zoneinfo/zonetab.json", filename);
+
+                // the zones themselves may go into a part of their own
+                var zonePart = options.separateTimeZones ? TIME_ZONE_PART : "root";
+                if (!outputSet[zonePart]) {
+                    outputSet[zonePart] = {};
                 }
-                outputSet.root.zonetab = line;
-                manifest.add("zoneinfo/zonetab.json");
 
                 var regionSet = new Set();
                 locales.forEach(function(locale) {
-                    regionSet.add(new Locale(locale).region);
+                    // pseudo-locales and fallbacks get the default time zones
+                    // of the locales that their data comes from
+                    var specs = pseudoLocales[locale] ? [locale, pseudoLocales[locale].base] : [locale];
+                    specs.forEach(function(spec) {
+                        getLocaleChain(spec, ilibClasses, fallbacks).forEach(function(part) {
+                            // the root and the language-only parts have no region
+                            var region = new Locale(part).region;
+                            if (region) {
+                                regionSet.add(region);
+                            }
+                        });
+                    });
                 });
                 var zoneSet = new Set();
                 regionSet.forEach(function(region) {
@@ -220,91 +2353,174 @@ function emitLocaleData(compilation, options) {
                     }
                 });
                 zoneSet.forEach(function(zone) {
+                    var cwdToData = path.join(dataRoot, "zoneinfo", zone + ".json");
                     try {
-                        var cwdToData = path.join(dataRoot, "zoneinfo", zone + ".json");
-                        if (fs.existsSync(cwdToData)) {
-                            data = fs.readFileSync(cwdToData, "utf-8");
+                        if (dataExists(path.join("zoneinfo", zone + ".json"))) {
+                            data = readData(path.join("zoneinfo", zone + ".json"));
                             var line = 'ilib.data.zoneinfo["' + zone.replace(/-/g, "m").replace(/\+/g, "p") + '"] = ' + data + ';\n';
                             // console.log(">>>>>>>>>>>>> Adding zone: " + line);
-                            outputSet.root[zone] = line;
-                            manifest.add(path.join("zoneinfo", zone + ".json"));
+                            addLine(zonePart, zone, line, data, path.join("zoneinfo", zone + ".json"), filename);
                         }
                     } catch (e) {
-                        console.log("ilib-webpack-plugin: Error: " + e);
+                        report("error", "Could not read the time zone " + zone + ": " + e.message, {
+                            dataType: filename,
+                            file: e.file || cwdToData
+                        });
                     }
                 }.bind(this));
 
+                if (Array.isArray(options.timeZones)) {
+                    // only add the zones that the app asked for explicitly
+                    options.timeZones.forEach(function(zone) {
+                        if (zoneSet.has(zone)) return;
+                        var relPath = path.join("zoneinfo", zone + ".json");
+                        var cwdToData = path.join(dataRoot, relPath);
+                        if (!dataExists(relPath)) {
+                            report("warning", "Could not find the time zone " + zone, {
+                                dataType: filename,
+                                file: cwdToData
+                            });
+                            return;
+                        }
+                        try {
+                            data = readData(relPath);
+                        } catch (e) {
+                            report("error", "Could not read the time zone " + zone + ": " + e.message, {
+                                dataType: filename,
+                                file: e.file || cwdToData
+                            });
+                            return;
+                        }
+                        var line = 'ilib.data.zoneinfo["' + zone.replace(/-/g, "m").replace(/\+/g, "p") + '"] = ' + data + ';\n';
+                        addLine(zonePart, zone, line, data, relPath, filename);
+                    });
+                    return;
+                }
+
                 // now add the generic zones
                 var zoneinfoDir = path.join(dataRoot, "zoneinfo");
-                var list = fs.readdirSync(zoneinfoDir);
-                list = list.concat(fs.readdirSync(path.join(zoneinfoDir, "Etc")).map(function(zone) {
-                    return "Etc/" + zone;
-                }));
+                var list;
+                try {
+                    list = listData("zoneinfo");
+                    list = list.concat(listData("zoneinfo/Etc").map(function(zone) {
+                        return "Etc/" + zone;
+                    }));
+                } catch (e) {
+                    report("error", "Could not list the generic time zones: " + e.message, {
+                        dataType: filename,
+                        file: zoneinfoDir
+                    });
+                    list = [];
+                }
 
                 list.filter(function(pathname) {
                     return pathname.endsWith(".json") && pathname !== "zonetab.json";
                 }).forEach(function (file) {
                     var zone = path.basename(file, ".json");
                     var cwdToData = path.join(dataRoot, "zoneinfo", file);
-                    data = fs.readFileSync(cwdToData, "utf-8");
+                    try {
+                        data = readData(path.join("zoneinfo", file));
+                    } catch (e) {
+                        report("error", "Could not read the time zone " + zone + ": " + e.message, {
+                            dataType: filename,
+                            file: e.file || cwdToData
+                        });
+                        return;
+                    }
                     var line = 'ilib.data.zoneinfo["' + zone.replace(/-/g, "m").replace(/\+/g, "p") + '"] = ' + data + ';\n';
                     // console.log(">>>>>>>>>>>>> Adding generic zone: " + line);
-                    // compiler.addDependency(cwdToData);
-                    outputSet.root[zone] = line;
-                    manifest.add(path.join("zoneinfo", file));
+                    addLine(zonePart, zone, line, data, path.join("zoneinfo", file), filename);
                 }.bind(this));
             } else {
-                var l = new Locale(locale);
+                var parts = getLocaleDirs(locale, ilibClasses, fallbacks);
 
-                var parts = [
-                    ".",
-                    l.language
-                    ];
-
-                if (l.script) {
-                    parts.push(l.language + "/" + l.script);
-                    if (l.region) {
-                        parts.push(l.language + "/" + l.script + "/" + l.region);
-                    }
-                }
-                if (l.region) {
-                    parts.push(l.language + "/" + l.region);
-                    parts.push("und/" + l.region);
+                if (!found[locale]) {
+                    found[locale] = new Set();
                 }
 
                 parts.forEach(function(localeDir) {
+                    var cwdToData = path.join(dataRoot, localeDir, filename + ".json");
                     try {
-                        var cwdToData = path.join(dataRoot, localeDir, filename + ".json");
-                        var part = localeDir === "." ? "root" : localeDir;
-                        part = part.replace(/\//g, "-");
+                        var part = toPartName(localeDir);
                         if (!outputSet[part]) {
                             outputSet[part] = {};
                         }
-                        if (fs.existsSync(cwdToData)) {
+                        if (dataExists(path.join(localeDir, filename + ".json"))) {
+                            typesFound.add(filename);
+                            if (part !== "root") {
+                                // ilib's own data for the pseudo-locales says nothing about
+                                // whether the real locales should have data of this type
+                                if (!pseudoLocales[locale]) {
+                                    localeDependent.add(filename);
+                                }
+                                found[locale].add(filename);
+                            }
                             if (!outputSet[part][filename]) {
                                 var line = "ilib.data." + toIlibDataName(filename);
                                 if (part !== "root") {
                                     line += "_" + toIlibDataName(part);
                                 }
-                                data = fs.readFileSync(cwdToData, "utf-8");
+                                data = readData(path.join(localeDir, filename + ".json"));
                                 line += " = " + data + ";\n";
                                 // console.log(">>>>>>>>>>>>> Adding line: " + line);
 
-                                outputSet[part][filename] = line;
-                                manifest.add(path.join(localeDir, filename + ".json"));
+                                addLine(part, filename, line, data, path.join(localeDir, filename + ".json"), filename);
                             }
                         } else {
                             outputSet[part][filename] = "";
                             manifest.add(path.join(localeDir, filename + ".json"));
                         }
                     } catch (e) {
-                        console.log("ilib-webpack-plugin: Error: " + e);
+                        report("error", "Could not read the locale data: " + e.message, {
+                            locale: locale,
+                            dataType: filename,
+                            file: e.file || cwdToData
+                        });
                     }
                 }.bind(this));
+
+                if (pseudoLocales[locale]) {
+                    addPseudoData(locale, filename);
+                } else if (fallbacks[locale]) {
+                    addFallbackData(locale, filename);
+                }
             }
         });
     }.bind(this));
 
+    // A type that has no data file anywhere in the data roots is most likely
+    // misspelled, or named after a class instead of its data, such as "numfmt"
+    // for NumFmt, which uses "localeinfo" and "currency".
+    localeData.forEach(function(type) {
+        normPattern.lastIndex = 0;
+        if (type === "charset" || type === "charmaps" || type === "zoneinfo" ||
+                normPattern.test(type) || typesFound.has(type)) {
+            return;
+        }
+        if (!findFile(dataRoots, type + ".json")) {
+            report("warning", "There is no data of the type " + type + " in any of the data roots", {
+                dataType: type
+            });
+        }
+    });
+
+    // the charsets that are included explicitly get their charmaps too,
+    // even when they are optional
+    var includedCharsets = new Set(options.includeCharsets || []);
+    includedCharsets.forEach(function(charset) {
+        charsets.add(charset);
+        if (!charmaps["*"]) {
+            charmaps["*"] = new Set();
+        }
+        charmaps["*"].add(charset);
+    });
+    (options.excludeCharsets || []).forEach(function(charset) {
+        charsets.delete(charset);
+        for (var spec in charmaps) {
+            charmaps[spec].delete(charset);
+        }
+    });
+
     if (charsets.size > 0) {
         var optional = new Set();
 
@@ -312,26 +2528,47 @@ function emitLocaleData(compilation, options) {
             outputSet.root = {};
         }
         var data, cwdToData = path.join(dataRoot, "charsetaliases.json");
-        if (!outputSet.root.charsetaliases && fs.existsSync(cwdToData)) {
-            data = fs.readFileSync(cwdToData, "utf-8");
-            var line = "ilib.data.charsetaliases = " + data + ";\n";
-            outputSet.root.charsetaliases = line;
-            manifest.add("charsetaliases.json");
+        try {
+            if (!outputSet.root.charsetaliases && dataExists("charsetaliases.json")) {
+                data = readData("charsetaliases.json");
+                var line = "ilib.data.charsetaliases = " + data + ";\n";
+                addLine("root", "charsetaliases", line, data, "charsetaliases.json", "charset");
+            }
+        } catch (e) {
+            report("error", "Could not read the charset aliases: " + e.message, {
+                dataType: "charset",
+                file: e.file || cwdToData
+            });
         }
 
         charsets.forEach(function(charset) {
             var data, cwdToData = path.join(dataRoot, "charset", charset + ".json");
             filename = "charset_" + charset;
-            if (!outputSet.root[filename] && fs.existsSync(cwdToData)) {
-                data = fs.readFileSync(cwdToData, "utf-8");
-                var line = "ilib.data.charset_" + toIlibDataName(charset) + " = " + data + ";\n";
-                outputSet.root[filename] = line;
-                manifest.add(path.join("charset", charset + ".json"));
-
-                var cs = JSON.parse(data);
-                if (typeof(cs.optional) === "boolean" && cs.optional) {
-                    optional.add(charset);
+            if (outputSet.root[filename]) {
+                return;
+            }
+            try {
+                if (!dataExists(path.join("charset", charset + ".json"))) {
+                    report("warning", "There is no data for the charset " + charset, {
+                        dataType: "charset",
+                        file: cwdToData
+                    });
+                    return;
                 }
+                data = readData(path.join("charset", charset + ".json"));
+            } catch (e) {
+                report("error", "Could not read the charset " + charset + ": " + e.message, {
+                    dataType: "charset",
+                    file: e.file || cwdToData
+                });
+                return;
+            }
+            var line = "ilib.data.charset_" + toIlibDataName(charset) + " = " + data + ";\n";
+            addLine("root", filename, line, data, path.join("charset", charset + ".json"), "charset");
+
+            var cs = JSON.parse(data);
+            if (typeof(cs.optional) === "boolean" && cs.optional) {
+                optional.add(charset);
             }
         });
 
@@ -340,138 +2577,1222 @@ function emitLocaleData(compilation, options) {
             charmaps[locale].forEach(function(charset) {
                 var data, cwdToData = path.join(dataRoot, "charmaps", charset + ".json");
                 filename = "charmaps_" + charset;
-                if (!optional.has(charset) && !outputSet.root[filename] && fs.existsSync(cwdToData)) {
-                    data = fs.readFileSync(cwdToData, "utf-8");
-                    var line = "ilib.data.charmaps_" + toIlibDataName(charset) + " = " + data + ";\n";
-                    outputSet.root[filename] = line;
-                    manifest.add(path.join("charmaps", charset + ".json"));
+                if ((optional.has(charset) && !includedCharsets.has(charset)) || outputSet.root[filename]) {
+                    return;
+                }
+                try {
+                    if (!dataExists(path.join("charmaps", charset + ".json"))) {
+                        // not all charsets need a charmap
+                        return;
+                    }
+                    data = readData(path.join("charmaps", charset + ".json"));
+                } catch (e) {
+                    report("error", "Could not read the charmap for the charset " + charset + ": " + e.message, {
+                        locale: locale,
+                        dataType: "charmaps",
+                        file: e.file || cwdToData
+                    });
+                    return;
                 }
+                var line = "ilib.data.charmaps_" + toIlibDataName(charset) + " = " + data + ";\n";
+                addLine("root", filename, line, data, path.join("charmaps", charset + ".json"), "charmaps");
             });
         }
     }
 
     function addForm(form, script) {
         if (script) {
+            var cwdToData = path.join(dataRoot, form, script + ".json");
             try {
-                var cwdToData = path.join(dataRoot, form, script + ".json");
-                if (fs.existsSync(cwdToData)) {
-                    data = fs.readFileSync(cwdToData, "utf-8");
+                if (dataExists(path.join(form, script + ".json"))) {
+                    data = readData(path.join(form, script + ".json"));
                     var line = '// form ' + form + ' script ' + script + '\nilib.extend(ilib.data.norm.' + form + ', ' + data + ');\n';
                     // console.log(">>>>>>>>>>>>> Adding form: " + form);
-                    outputSet.root[form + "/" + script] = line;
-                    manifest.add(path.join(form, script + ".json"));
+                    addLine("root", form + "/" + script, line, data, path.join(form, script + ".json"), form);
+                } else if (impliedScripts[form] && impliedScripts[form].has(script)) {
+                    // ilib does not need data for every script in every form
+                    if (options.debug) console.log("ilib-webpack-plugin: No " + form + " data for script " + script);
+                } else {
+                    report("warning", "There is no " + form + " normalization data for the script " + script, {
+                        dataType: form + "/" + script,
+                        file: cwdToData
+                    });
                 }
             } catch (e) {
-                console.log("ilib-webpack-plugin: Error: " + e);
+                report("error", "Could not read the " + form + " normalization data for the script " + script + ": " + e.message, {
+                    dataType: form + "/" + script,
+                    file: e.file || cwdToData
+                });
             }
         }
     }
 
+    // The normalization forms in the options may be given as "nfc" for the
+    // scripts of the locales, or as "nfc/Latn" for one script only. Each one
+    // is added to the given object of sets of scripts by form. The scripts
+    // that were not named explicitly are remembered in impliedScripts.
+    var impliedScripts = {};
+    function addForms(names, forms, defaultScripts) {
+        (names || []).forEach(function(name) {
+            normPattern.lastIndex = 0;
+            var match = normPattern.exec(name);
+            if (!match) {
+                report("warning", "Unknown normalization form " + name, {
+                    dataType: name
+                });
+                return;
+            }
+            var form = match[1];
+            if (!forms[form]) {
+                forms[form] = new Set();
+            }
+            (match[3] ? [match[3]] : defaultScripts).forEach(function(script) {
+                if (match[3]) {
+                    if (impliedScripts[form]) impliedScripts[form].delete(script);
+                } else if (!forms[form].has(script)) {
+                    if (!impliedScripts[form]) {
+                        impliedScripts[form] = new Set();
+                    }
+                    impliedScripts[form].add(script);
+                }
+                forms[form].add(script);
+            });
+        });
+    }
+    var excludedForms = {};
+    addForms(options.includeNormalization, normalizations, toArray(scripts));
+    addForms(options.excludeNormalization, excludedForms, [""]);
+
     for (var form in normalizations) {
-        if (normalizations[form].has("all")) {
+        var excluded = excludedForms[form] || new Set();
+        if (excluded.has("")) {
+            // the whole form is excluded
+            continue;
+        }
+        if (normalizations[form].has("all") && !excluded.has("all")) {
             // if "all" is there, then we don't need to add each script individually
             // because they are all in the all.json already
             addForm(form, "all");
         } else {
             var set = (normalizations.size === 0 || (normalizations[form].has("") && normalizations.size === 1)) ? scripts : normalizations[form];
             set.forEach(function(script) {
+                if (excluded.has(script) || script === "all") return;
                 if (options.debug) console.log("ilib-webpack-plugin: Including " + form + " for script " + script);
                 addForm(form, script);
             });
         }
     }
 
+    // Add the app's own translated resources to the same locale parts, so that
+    // the ResBundle class can find them in the ilib.data without loading them
+    // separately.
+    if (options.resourceDir) {
+        var resourceRoot = path.resolve(options.resourceDir);
+        var resourceDirs = new Set();
+        locales.forEach(function(locale) {
+            getLocaleDirs(locale, ilibClasses, fallbacks).forEach(function(localeDir) {
+                resourceDirs.add(localeDir);
+            });
+        });
+
+        // The translations of a part may be in a directory for each of the
+        // subtags, such as "fr/CA", or in one directory named after the whole
+        // spec, such as "fr-CA", which findLocaleDirs also takes as a locale.
+        // Return the directories of both layouts for the given part.
+        var getResourceDirs = function(localeDir) {
+            var dirs = [path.join(resourceRoot, localeDir)];
+            if (toPartName(localeDir) !== localeDir) {
+                dirs.push(path.join(resourceRoot, toPartName(localeDir)));
+            }
+            return dirs;
+        };
+
+        // List the files of translations of the given part in both layouts.
+        var listResources = function(localeDir) {
+            var names = new Set();
+            getResourceDirs(localeDir).forEach(function(dir) {
+                directories.add(dir);
+                try {
+                    fs.readdirSync(dir).forEach(function(name) {
+                        if (name.endsWith(".json")) {
+                            names.add(name);
+                        }
+                    });
+                } catch (e) {
+                    // no translations for this part in this layout
+                }
+            });
+            return toArray(names).sort();
+        };
+
+        // Return the files that the translations with the given path relative
+        // to the resourceDir are read from. When both layouts have the file, the
+        // one in the directory named after the whole spec comes last.
+        var findResources = function(relPath) {
+            return getResourceDirs(path.dirname(relPath)).map(function(dir) {
+                return path.join(dir, path.basename(relPath));
+            }).filter(function(pathname) {
+                return dataFiles.exists(pathname);
+            });
+        };
+
+        // Read the translations with the given path relative to the resourceDir,
+        // merging the files of both layouts. Returns undefined if there are none.
+        var readResources = function(relPath) {
+            var texts = [];
+            var merged;
+            findResources(relPath).forEach(function(pathname) {
+                var text = dataFiles.read(pathname);
+                var json;
+                try {
+                    json = JSON.parse(text);
+                } catch (e) {
+                    e.file = pathname;
+                    throw e;
+                }
+                texts.push(text);
+                merged = (texts.length === 1) ? json : JSUtils.merge(merged, json, true);
+            });
+            if (texts.length < 2) {
+                return texts[0];
+            }
+            return JSON.stringify(merged);
+        };
+
+        resourceDirs.forEach(function(localeDir) {
+            var part = toPartName(localeDir);
+            listResources(localeDir).forEach(function(name) {
+                var relPath = path.join(localeDir, name);
+                var baseName = path.basename(name, ".json");
+                var data;
+                try {
+                    data = readResources(relPath);
+                } catch (e) {
+                    report("error", "Could not read the translations: " + e.message, {
+                        locale: part,
+                        dataType: baseName,
+                        file: e.file
+                    });
+                    return;
+                }
+                var line = "ilib.data." + toIlibDataName(baseName);
+                if (part !== "root") {
+                    line += "_" + toIlibDataName(part);
+                }
+                line += " = " + data + ";\n";
+                // the resources are kept apart from ilib's own data of the same name
+                addLine(part, "resources/" + baseName, line, data, relPath, "resources", findResources(relPath));
+            });
+        });
+
+        // the locales that fall back to other locales get their translations too
+        Object.keys(fallbacks).forEach(function(locale) {
+            if (locales.indexOf(locale) === -1 || pseudoLocales[locale]) return;
+            var names = new Set();
+            getLocaleChain(locale, ilibClasses, fallbacks).forEach(function(part) {
+                listResources(toLocaleDir(part)).forEach(function(name) {
+                    names.add(name);
+                });
+            });
+            var part = Utils.getSublocales(locale).pop();
+            toArray(names).sort().forEach(function(name) {
+                var baseName = path.basename(name, ".json");
+                var merged;
+                try {
+                    merged = mergeFallbackData(locale, name, function(relPath) {
+                        var text = readResources(relPath);
+                        return text === undefined ? undefined : JSON.parse(text);
+                    }, findResources);
+                } catch (e) {
+                    report("error", "Could not read the translations of the fallback locale " + fallbacks[locale] + ": " + e.message, {
+                        locale: locale,
+                        dataType: baseName
+                    });
+                    return;
+                }
+                if (!merged) return;
+                var data = JSON.stringify(merged.data);
+                var line = "ilib.data." + toIlibDataName(baseName) + "_" + toIlibDataName(part) + " = " + data + ";\n";
+                addLine(part, "resources/" + baseName, line, data, path.join(toLocaleDir(part), name), "resources", merged.sources);
+            });
+        });
+
+        // the pseudo-locales get pseudo-translated copies of the translations
+        // of their base locales
+        Object.keys(pseudoLocales).forEach(function(locale) {
+            var settings = pseudoLocales[locale];
+            var part = new Locale(locale).getSpec();
+            var names = new Set();
+            getLocaleChain(settings.base, ilibClasses, fallbacks).forEach(function(sublocale) {
+                listResources(toLocaleDir(sublocale)).forEach(function(name) {
+                    names.add(name);
+                });
+            });
+            toArray(names).sort().forEach(function(name) {
+                var baseName = path.basename(name, ".json");
+                var merged;
+                try {
+                    merged = mergeBaseData(settings.base, name, function(relPath) {
+                        var text = readResources(relPath);
+                        return text === undefined ? undefined : JSON.parse(text);
+                    }, findResources);
+                } catch (e) {
+                    report("error", "Could not read the translations of the base locale " + settings.base + ": " + e.message, {
+                        locale: locale,
+                        dataType: baseName
+                    });
+                    return;
+                }
+                var data = JSON.stringify(pseudoTranslateData(merged.data, settings, getPseudoMap(settings.style)));
+                var line = "ilib.data." + toIlibDataName(baseName) + "_" + toIlibDataName(part) + " = " + data + ";\n";
+                addLine(part, "resources/" + baseName, line, data, path.join(part.replace(/-/g, "/"), name), "resources", merged.sources);
+            });
+        });
+    }
+
+    // Check that each locale actually has data. Typos in the locale list are
+    // otherwise hard to find, because ilib silently falls back to the root data.
+    var severity = options.strict ? "error" : "warning";
+    locales.forEach(function(locale) {
+        if (!pseudoLocales[locale] && !isKnownLocale(locale, ilibClasses)) {
+            report(severity, "The locale " + locale + " is not a valid locale", {
+                locale: locale
+            });
+        }
+        localeDependent.forEach(function(type) {
+            if (presetTypes.has(type)) return;
+            if (!found[locale] || !found[locale].has(type)) {
+                report(severity, "There is no data for the locale " + locale + " other than the root data", {
+                    locale: locale,
+                    dataType: type
+                });
+            }
+        });
+    });
+
     // Write out the manifest file so that the WebpackLoader knows when to attempt
     // to load data and when not to. If a file it is attempting to load is not in
     // the manifest, it does not have to load the locale files that would contain it,
     // which leads to 404s. The ilibmanifest.json is used locally when running under
     // nodejs, and the ilibmanifest.js is used remotely when running in a browser.
+    // The data that the optimizer removes stays in the manifest like the files
+    // that do not exist, so that ilib does not try to load it.
+    if (options.optimize) {
+        optimizeLocaleData(outputSet, locales, localeData, ilibClasses);
+    }
+
+    // the json format only applies to the emitted assets, because the
+    // modules in the bundle still have to install the data
+    var format = options.format || "commonjs";
+
     var localManifest =  {
         files: toArray(manifest)
     };
+
+    // Record the parts of the locales that the fallbacks option inserts other
+    // parts into, in the order in which they override each other.
+    var chains = {};
+    locales.forEach(function(locale) {
+        if (fallbacks[locale]) {
+            chains[locale] = getLocaleChain(locale, ilibClasses, fallbacks);
+        }
+    });
+    if (Object.keys(chains).length) {
+        localManifest.chains = chains;
+    }
     var outputPath = path.join(outputDir, "locales"),
     outputFile = path.join(outputPath, "localmanifest.js");
-    makeDirs(outputPath);
     if (options.debug) console.log("ilib-webpack-plugin: Emitting local manifest " + outputFile);
-    var text = "module.exports=" + JSON.stringify(localManifest) + ";\n";
+    var text = toModule(localManifest, format);
     sources[outputFile] = text;
-    makeDirs(outputPath);
-    fs.writeFileSync(outputFile, text, "utf-8");
+    var assetNames = {};
+    var assetContents = {};
+    if (format === "json") {
+        assetNames[outputFile] = "locales/localmanifest.json";
+        assetContents[outputFile] = JSON.stringify(localManifest);
+    }
 
     var remoteManifest = {
-        files: Object.keys(outputSet).map(function(file) {
-            return file + ".js";
-        })
+        files: [],
+        parts: {}
     };
-    outputFile = path.join(outputPath, "remotemanifest.js");
-    if (options.debug) console.log("ilib-webpack-plugin: Emitting remote manifest " + outputFile);
-    text = "module.exports=" + JSON.stringify(remoteManifest) + ";\n";
-    sources[outputFile] = text;
-    fs.writeFileSync(outputFile, text, "utf-8");
+    if (localManifest.chains) {
+        remoteManifest.chains = chains;
+    }
 
     for (var filename in outputSet) {
         var outputFileName = filename + ".js";
-        var dataFiles = outputSet[filename];
+        var partData = outputSet[filename];
         var ilibRoot = options.ilibRoot ?
             path.join(options.ilibRoot, "lib/ilib.js") :
                 "ilib/lib/ilib.js";
 
-        var output = "module.exports.installLocale = function(ilib) {\n";
-
-        for (var dataFile in dataFiles) {
-            output += dataFiles[dataFile];
+        var output = (format === "esm") ?
+            "export function installLocale(ilib) {\n" :
+            "module.exports.installLocale = function(ilib) {\n";
+
+        for (var dataFile in partData) {
+            var info = contents[filename] && contents[filename][dataFile];
+            if (options.annotate && partData[dataFile] && info) {
+                // say where the data came from, so that it can be traced back
+                output += "// " + info.sources.map(function(pathname) {
+                    return path.relative(process.cwd(), pathname);
+                }).join(", ") + "\n";
+            }
+            output += partData[dataFile];
         }
 
-        output += "};\n";
+        if (filename === "root" && outputSet[TIME_ZONE_PART]) {
+            // Let the app load the time zones when it needs them. The json
+            // asset of the part only has the data, so this is only in the
+            // module in the bundle.
+            output +=
+                "ilib.loadTimeZoneData = function(callback) {\n" +
+                "    import(/* webpackChunkName: '" + TIME_ZONE_PART + "' */ './" + TIME_ZONE_PART + ".js').then(function(module) {\n" +
+                "        module && typeof(module.installLocale) === 'function' && module.installLocale(ilib);\n" +
+                "        typeof(callback) === 'function' && callback();\n" +
+                "    });\n" +
+                "};\n";
+        }
 
+        output += (format === "esm") ? "}\n" : "};\n";
 
         var outputFile = path.join(outputPath, outputFileName);
-        if (options.debug) console.log("ilib-webpack-plugin: Emitting " + outputFile + " size " + output.length);
-        // if (options.debug) console.log("ilib-webpack-plugin: Writing to " + outputFile);
-        makeDirs(path.dirname(outputFile));
-        fs.writeFileSync(outputFile, output, "utf-8");
-        sources[outputFile] = output;   // remember this so we can update the in-memory modules later
+        sources[outputFile] = output;
+
+        if (options.optimize && Object.keys(partData).every(function(dataFile) {
+            return !partData[dataFile];
+        })) {
+            // The module still exists so that the bundle can import it, but it
+            // is not emitted as an asset and the loader is not told about it.
+            if (options.debug) console.log("ilib-webpack-plugin: Skipping empty part " + outputFile);
+            assetNames[outputFile] = null;
+            continue;
+        }
+
+        // the bundle still uses the module, but the asset is the data on its own
+        var asset = output;
+        if (format === "json") {
+            asset = toJsonPart(output, ilibClasses.ilib);
+            assetContents[outputFile] = asset;
+        }
+
+        if (options.debug) console.log("ilib-webpack-plugin: Emitting " + outputFile + " size " + asset.length);
+
+        // The ilib loader looks up the modules in the bundle by their logical
+        // names, so that it can still find them when the file names of the
+        // assets contain a hash. The json parts are not in the bundle, so the
+        // app can only fetch them by the names of the assets, relative to the
+        // remote manifest.
+        var assetName = getAssetName(options, filename, asset);
+        assetNames[outputFile] = assetName;
+        remoteManifest.files.push(format === "json" ?
+            path.posix.relative("locales", assetName) :
+            outputFileName);
+        remoteManifest.parts[filename] = {
+            file: assetName,
+            size: Buffer.byteLength(asset),
+            integrity: getIntegrity(asset)
+        };
     }
 
-    // console.log("ilib-webpack-plugin: Done emitting locale data.");
-    localeDataEmitted = sources;
+    outputFile = path.join(outputPath, "remotemanifest.js");
+    if (options.debug) console.log("ilib-webpack-plugin: Emitting remote manifest " + outputFile);
+    text = toModule(remoteManifest, format);
+    sources[outputFile] = text;
+    if (format === "json") {
+        assetNames[outputFile] = "locales/remotemanifest.json";
+        assetContents[outputFile] = JSON.stringify(remoteManifest);
+    }
+
+    // Describe what went into each part, so that it is possible to find out
+    // why the locale data grew.
+    var buildReport = {
+        parts: {},
+        locales: {},
+        size: 0
+    };
+    for (filename in outputSet) {
+        var entry = remoteManifest.parts[filename];
+        var partContents = contents[filename] || {};
+        buildReport.parts[filename] = {
+            file: entry ? entry.file : null,
+            size: entry ? entry.size : 0,
+            data: Object.keys(partContents).filter(function(key) {
+                // the optimizer may have removed some of the data
+                return Boolean(outputSet[filename][key]);
+            }).map(function(key) {
+                var info = partContents[key];
+                return {
+                    name: key,
+                    file: info.file,
+                    type: info.type,
+                    size: info.size,
+                    minifiedSize: info.minifiedSize
+                };
+            })
+        };
+        buildReport.size += buildReport.parts[filename].size;
+    }
+    locales.forEach(function(locale) {
+        var parts = getLocaleDirs(locale, ilibClasses, fallbacks).map(toPartName).filter(function(part) {
+            return Boolean(buildReport.parts[part]);
+        });
+        buildReport.locales[locale] = {
+            parts: parts,
+            size: parts.reduce(function(total, part) {
+                return total + buildReport.parts[part].size;
+            }, 0)
+        };
+    });
+
+    // Check the sizes against the budgets, so that a change that suddenly
+    // includes a lot more locale data is caught before it is released.
+    var budgets = options.budgets;
+    if (budgets) {
+        var budgetSeverity = budgets.severity || "warning";
+
+        // name the types of data that take up the most space in the given parts
+        var largestTypes = function(parts) {
+            var sizes = {};
+            parts.forEach(function(part) {
+                var partContents = contents[part] || {};
+                for (var key in partContents) {
+                    var type = partContents[key].type;
+                    sizes[type] = (sizes[type] || 0) + Buffer.byteLength(outputSet[part][key] || "");
+                }
+            });
+            return Object.keys(sizes).filter(function(type) {
+                return sizes[type] > 0;
+            }).sort(function(left, right) {
+                return sizes[right] - sizes[left];
+            }).slice(0, 3).map(function(type) {
+                return type + " (" + sizes[type] + " bytes)";
+            }).join(", ");
+        };
+
+        var checkBudget = function(what, size, budget, parts, details) {
+            if (budget && size > budget) {
+                var types = largestTypes(parts);
+                report(budgetSeverity, what + " is " + size + " bytes, which is over the budget of " + budget + " bytes." +
+                    (types ? " The largest types of data in it are " + types + "." : ""), details);
+            }
+        };
+
+        for (filename in buildReport.parts) {
+            checkBudget("The locale part " + filename, buildReport.parts[filename].size, budgets.part, [filename], {
+                file: buildReport.parts[filename].file
+            });
+        }
+        locales.forEach(function(locale) {
+            var localeInfo = buildReport.locales[locale];
+            checkBudget("The locale data for " + locale, localeInfo.size, budgets.locale, localeInfo.parts, {
+                locale: locale
+            });
+        });
+        checkBudget("All of the locale data", buildReport.size, budgets.total, Object.keys(buildReport.parts));
+    }
+
+    // Explain what went into each of the parts of a locale for a type of data,
+    // and why.
+    function explain(locale, type) {
+        var lines = [];
+        var relative = function(pathname) {
+            return path.relative(process.cwd(), pathname);
+        };
+
+        if (locales.indexOf(locale) === -1) {
+            lines.push("The locale " + locale + " is not built, because it is not in the locales option.");
+            return lines;
+        }
+        if (!localeData.has(type)) {
+            lines.push("The " + type + " data is not included, because " +
+                ((options.excludeData || []).indexOf(type) > -1 ?
+                    "the excludeData option leaves it out." :
+                    "nothing asked for it."));
+            return lines;
+        }
+
+        normPattern.lastIndex = 0;
+        if (["zoneinfo", "charset", "charmaps"].indexOf(type) > -1 || normPattern.test(type)) {
+            lines.push("The " + type + " data does not depend on the locale. It is in these parts:");
+            for (var part in contents) {
+                for (var key in contents[part]) {
+                    var info = contents[part][key];
+                    if (info.type === type || key === type) {
+                        lines.push("  " + part + ": " + key + " from " + info.sources.map(relative).join(", "));
+                    }
+                }
+            }
+            return lines;
+        }
+
+        lines.push("The parts of " + locale + " were searched for " + type + ".json from the least to the most specific:");
+        var own = Utils.getSublocales(locale);
+        getLocaleChain(locale, ilibClasses, fallbacks).forEach(function(part) {
+            var relPath = path.join(toLocaleDir(part), type + ".json");
+            var info = contents[part] && contents[part][type];
+            var line = "  " + part + ": ";
+            if (own.indexOf(part) === -1) {
+                line += "inserted by the fallbacks option, so " + (dataExists(relPath) ?
+                    "it is emitted with its own data, which is also merged into the " + own[own.length - 1] +
+                    " part, because ilib only reads the parts of " + locale + " itself" :
+                    "it was searched, but there is no " + relPath);
+            } else if (info && outputSet[part] && outputSet[part][type]) {
+                line += "included from " + info.sources.map(relative).join(", ");
+                if (pseudoLocales[locale] && part === new Locale(locale).getSpec()) {
+                    line += ", which is the data of the base locale " + pseudoLocales[locale].base;
+                }
+            } else if (info) {
+                line += "left out by the optimize option, because ilib inherits the same data from the parts above";
+            } else if (manifest.has(relPath)) {
+                line += "recorded as empty in localmanifest.js, because there is no " + relPath + " in " +
+                    dataRoots.map(relative).join(" or ");
+            } else {
+                line += "not searched";
+            }
+            lines.push(line);
+        });
+        return lines;
+    }
 
-    return sources;
+    var explanations = [].concat(options.explain || []).map(function(query) {
+        var words = query.trim().split(/\s+/);
+        return {
+            locale: words[0],
+            type: words[1],
+            lines: explain(words[0], words[1])
+        };
+    });
+
+    // console.log("ilib-webpack-plugin: Done emitting locale data.");
+    return {
+        sources: sources,
+        assetNames: assetNames,
+        assetContents: assetContents,
+        report: buildReport,
+        explanations: explanations,
+        directories: toArray(directories),
+        problems: problems
+    };
 };
 
 function IlibDataPlugin(options) {
     this.options = options || {};
-
-    loadIlibClasses(options.ilibRoot);
+    applyPresets(this.options);
 
     this.name = "IlibWebpackPlugin";
+
+    // the locale data files that are served to the compilation from memory
+    this.virtualFiles = {};
+
+    // All of the state is kept per instance so that multiple instances of
+    // this plugin in the same process (eg. a multi-compiler build) do not
+    // share each other's data.
+
+    // the root and the classes of the copy of ilib that the locale data is
+    // taken from
+    this.ilibClasses = loadIlibClasses(this.options.ilibRoot);
+
+    // the types of locale data that the loaders have asked for
+    this.localeData = new Set();
+
+    // the result of the last call to emitLocaleData, or undefined if the
+    // locale data needs to be emitted again
+    this.localeDataEmitted = undefined;
+
+    // the list of locale part files returned by getDummyLocaleDataFiles
+    this.localeDataFiles = undefined;
+
+    // the contents of the ilib data files that were read so far
+    this.dataFiles = new DataFileCache();
+
+    // the locales that the part files were last generated for
+    this.localesKey = undefined;
+
+    // the locales option as it was given, which may contain patterns
+    // that are expanded again in each compilation
+    this.localeSpecs = this.options.locales;
+    this._expandLocales();
+
+    // the problems with the version of ilib, or undefined if it was not
+    // checked yet
+    this.ilibProblems = undefined;
 }
 
+/**
+ * Expand the patterns in the locales option. The expanded list is
+ * put back into the options so that the loader sees it too if it
+ * shares the options with this plugin.
+ *
+ * @private
+ */
+IlibDataPlugin.prototype._expandLocales = function() {
+    this.options.locales = expandLocales({
+        locales: this.localeSpecs,
+        resourceDir: this.options.resourceDir,
+        ilibRoot: this.options.ilibRoot,
+        debug: this.options.debug
+    }, this.ilibClasses);
+    // the pseudo-locales are built like any other locale
+    Object.keys(getPseudoLocales(this.options)).forEach(function(spec) {
+        if (this.options.locales.indexOf(spec) === -1) {
+            this.options.locales.push(spec);
+        }
+    }.bind(this));
+    if (this.options.debug) console.log("ilib-webpack-plugin: using locales " + this.options.locales.join(","));
+};
+
+/**
+ * Store the contents of a generated file in memory so that
+ * the compilation can read it as if it were on disk.
+ *
+ * @private
+ * @param {string} pathname the full path to the file
+ * @param {string} contents the contents of the file
+ * @returns {boolean} true if the contents changed
+ */
+IlibDataPlugin.prototype._setVirtualFile = function(pathname, contents) {
+    var file = this.virtualFiles[pathname];
+    if (file && file.contents === contents) {
+        return false;
+    }
+    this.virtualFiles[pathname] = {
+        contents: contents,
+        mtime: new Date()
+    };
+    return true;
+};
+
+/**
+ * Remove the in-memory locale data files that are no longer
+ * generated, such as the files for a locale that was removed
+ * from the options in watch mode.
+ *
+ * @private
+ * @param {Object} keep a mapping of the paths of the files to keep
+ */
+IlibDataPlugin.prototype._pruneVirtualFiles = function(keep) {
+    for (var pathname in this.virtualFiles) {
+        if (!keep[pathname]) {
+            if (this.options.debug) console.log("ilib-webpack-plugin: Removing " + pathname);
+            delete this.virtualFiles[pathname];
+        }
+    }
+};
+
+/**
+ * Return the persistent cache for the locale data. By default, this is
+ * the cache of the webpack 5 compilation, which is kept on disk when
+ * webpack is configured with a filesystem cache. The cache option can
+ * also point to a directory to keep a cache of our own in, which is
+ * the only way to get one with webpack 4 or without webpack at all.
+ *
+ * @private
+ * @param [owner] the webpack compiler or compilation, if there is one
+ * @returns {Object|undefined} the cache, or undefined if there is none
+ */
+IlibDataPlugin.prototype._getCache = function(owner) {
+    var option = this.options.cache;
+    if (option === false) {
+        return undefined;
+    }
+    if (option) {
+        return new DiskCache(typeof(option) === "string" ?
+            path.resolve(option) :
+            path.join(process.cwd(), "node_modules", ".cache", "ilib-webpack-plugin"));
+    }
+    if (owner && typeof(owner.getCache) === "function") {
+        var cache = owner.getCache(this.name);
+        return {
+            get: function(key, callback) {
+                cache.get(key, null, callback);
+            },
+            store: function(key, entry, callback) {
+                cache.store(key, null, entry, callback);
+            }
+        };
+    }
+    return undefined;
+};
+
+/**
+ * Return the key of the locale data in the persistent cache. It
+ * depends on everything that goes into the locale data other than
+ * the contents of the data files themselves.
+ *
+ * @private
+ * @param {boolean} typesOnly true for the key of the types of locale
+ * data that the last build with the same options used
+ * @returns {string} the key
+ */
+IlibDataPlugin.prototype._getCacheKey = function(typesOnly) {
+    var key = {
+        plugin: require("./package.json").version,
+        ilib: this.ilibClasses.ilib.getVersion(),
+        tempDir: calcTempDir(this.options),
+        locales: this.options.locales
+    };
+    if (!typesOnly) {
+        // The loaders fill in the defaults of the options that only they use,
+        // but they do not run when their modules come from the webpack cache.
+        var options = {};
+        for (var name in this.options) {
+            if (["debug", "cache", "assembly", "compilation", "size", "target"].indexOf(name) === -1) {
+                options[name] = this.options[name];
+            }
+        }
+        key.dataRoot = calcDataRoot(this.options, this.ilibClasses.root);
+        key.options = options;
+        key.types = toArray(this.localeData).sort();
+    }
+    return crypto.createHash("sha256").update(JSON.stringify(key)).digest("hex");
+};
+
+/**
+ * Emit the locale data, or take it from the persistent cache if none of
+ * the files that it was made from have changed since then.
+ *
+ * @private
+ * @param [compilation] the webpack compilation, if there is one
+ * @param {Function(Error)} callback called when this.localeDataEmitted
+ * is set
+ */
+IlibDataPlugin.prototype._emitLocaleData = function(compilation, callback) {
+    var cache = this._getCache(compilation);
+
+    var emit = function() {
+        try {
+            this.localeDataEmitted = emitLocaleData(compilation, this.options, this.ilibClasses, this.localeData, this.dataFiles);
+            if (this.options.selfTest) {
+                var types = selectDataTypes(this.options, this.localeData);
+                this.localeDataEmitted.problems = this.localeDataEmitted.problems.concat(
+                    selfTestLocaleData(this.options, this.ilibClasses.root, this.localeDataEmitted, types));
+            }
+        } catch (e) {
+            return e;
+        }
+    }.bind(this);
+
+    if (!cache) {
+        return callback(emit());
+    }
+
+    var key = this._getCacheKey();
+    cache.get(key, function(err, entry) {
+        if (!err && entry && isSnapshotValid(entry.snapshot)) {
+            if (this.options.debug) console.log("ilib-webpack-plugin: Using the cached locale data");
+            // watch the same files as if they had been read
+            Object.keys(entry.snapshot.files).forEach(function(pathname) {
+                this.dataFiles.add(pathname, true);
+            }.bind(this));
+            entry.snapshot.missing.forEach(function(pathname) {
+                this.dataFiles.add(pathname, false);
+            }.bind(this));
+
+            var emitted = entry.emitted;
+            this.localeDataEmitted = {
+                sources: emitted.sources,
+                assetNames: emitted.assetNames,
+                assetContents: emitted.assetContents,
+                report: emitted.report,
+                explanations: emitted.explanations,
+                directories: emitted.directories,
+                problems: emitted.problems.map(function(details) {
+                    var problem = new Error(details.message);
+                    problem.severity = details.severity;
+                    problem.locale = details.locale;
+                    problem.dataType = details.dataType;
+                    problem.file = details.file;
+                    problem.hideStack = true;
+                    return problem;
+                })
+            };
+            return callback();
+        }
+
+        err = emit();
+        if (err) {
+            return callback(err);
+        }
+
+        var emitted = this.localeDataEmitted;
+        var done = function(err) {
+            // the build still works without the cache
+            if (err && this.options.debug) console.log("ilib-webpack-plugin: Could not cache the locale data: " + err.message);
+            callback();
+        }.bind(this);
+        cache.store(key, {
+            snapshot: makeSnapshot(this.dataFiles, emitted.directories),
+            emitted: {
+                sources: emitted.sources,
+                assetNames: emitted.assetNames,
+                assetContents: emitted.assetContents,
+                report: emitted.report,
+                explanations: emitted.explanations,
+                directories: emitted.directories,
+                problems: emitted.problems.map(function(problem) {
+                    return {
+                        message: problem.message,
+                        severity: problem.severity,
+                        locale: problem.locale,
+                        dataType: problem.dataType,
+                        file: problem.file
+                    };
+                })
+            }
+        }, function(err) {
+            if (err) {
+                return done(err);
+            }
+            cache.store(this._getCacheKey(true), {
+                types: toArray(this.localeData)
+            }, done);
+        }.bind(this));
+    }.bind(this));
+};
+
+/**
+ * Return the files that are emitted into the output directory. These
+ * are the locale part files and the manifests, plus the reports if they
+ * were asked for.
+ *
+ * @private
+ * @returns {Object} the contents of each file, keyed by the name of the
+ * file relative to the output directory
+ */
+IlibDataPlugin.prototype._getAssets = function() {
+    var tempDir = calcTempDir(this.options);
+    var loaderPath = path.join(tempDir, "locales", "loadLocale.js");
+    var assetNames = (this.localeDataEmitted && this.localeDataEmitted.assetNames) || {};
+    var assetContents = (this.localeDataEmitted && this.localeDataEmitted.assetContents) || {};
+    var assets = {};
+
+    for (var pathname in this.virtualFiles) {
+        if (pathname === loaderPath || assetNames[pathname] === null) continue; // only used inside the bundle
+        var name = assetNames[pathname] || path.relative(tempDir, pathname).replace(/\\/g, "/");
+        assets[name] = assetContents[pathname] || this.virtualFiles[pathname].contents;
+    }
+
+    if (this.options.report && this.localeDataEmitted) {
+        var reportName = typeof(this.options.report) === "string" ? this.options.report : "ilib-report.json";
+        var buildReport = this.localeDataEmitted.report;
+        assets[reportName] = JSON.stringify(buildReport, undefined, 4) + "\n";
+        assets[reportName.replace(/\.json$/, "") + ".txt"] = formatReport(buildReport);
+    }
+
+    return assets;
+};
+
+/**
+ * Format the explanations of the locale data that the explain option
+ * asked for.
+ *
+ * @private
+ * @param {Object} requesters a mapping from each type of locale data to
+ * the names of what asked for it
+ * @returns {string} the explanations
+ */
+IlibDataPlugin.prototype._formatExplanations = function(requesters) {
+    var explanations = (this.localeDataEmitted && this.localeDataEmitted.explanations) || [];
+    return explanations.map(function(explanation) {
+        var askers = (requesters[explanation.type] || []).slice();
+        if ((this.options.includeData || []).indexOf(explanation.type) > -1) {
+            askers.push("the includeData option");
+        }
+        return "ilib-webpack-plugin: The " + explanation.type + " data of " + explanation.locale + "\n" +
+            "Asked for by: " + (askers.length ? askers.join(", ") : "nothing") + "\n" +
+            explanation.lines.join("\n") + "\n";
+    }.bind(this)).join("\n");
+};
+
 IlibDataPlugin.prototype.apply = function(compiler) {
-    compiler.plugin('compilation', function(compilation, callback) {
-        // console.log("@@@@@@@@@@@@@@@@ compilation");
+    var RawSource = getRawSource(compiler);
+    var tempDir = calcTempDir(this.options);
+    var localesDir = path.join(tempDir, "locales");
+    var loaderPath = path.join(localesDir, "loadLocale.js");
+
+    compiler.hooks.afterEnvironment.tap(this.name, function() {
+        compiler.inputFileSystem = wrapInputFileSystem(compiler.inputFileSystem, this.virtualFiles);
+    }.bind(this));
+
+    compiler.hooks.watchRun.tap(this.name, function(compiler) {
+        var changed = getChangedFiles(compiler);
+        if (!changed) {
+            // don't know what changed, so read everything again
+            this.dataFiles = new DataFileCache();
+            this.localeDataEmitted = undefined;
+            return;
+        }
+
+        var resourceRoot = this.options.resourceDir && (path.resolve(this.options.resourceDir) + path.sep);
+        changed.forEach(function(pathname) {
+            // translations that were added or removed are not in the cache yet
+            var isResource = resourceRoot && pathname.startsWith(resourceRoot) && pathname.endsWith(".json");
+            if (this.dataFiles.invalidate(pathname) || isResource) {
+                if (this.options.debug) console.log("ilib-webpack-plugin: " + pathname + " changed");
+                this.localeDataEmitted = undefined;
+            }
+        }.bind(this));
+    }.bind(this));
+
+    if (this.options.report) {
+        compiler.hooks.done.tap(this.name, function(stats) {
+            if (stats.compilation.hooks.statsFactory) return;
+
+            // webpack 4 has no stats factory, so add the report to the stats
+            // when they are made
+            var toJson = stats.toJson;
+            stats.toJson = function() {
+                var object = toJson.apply(stats, arguments);
+                if (this.localeDataEmitted) {
+                    object.ilibReport = this.localeDataEmitted.report;
+                }
+                return object;
+            }.bind(this);
+        }.bind(this));
+    }
+
+    if (this.options.splitLocales) {
+        // let the app import the generated locale loader by a fixed name
+        compiler.hooks.normalModuleFactory.tap(this.name, function(normalModuleFactory) {
+            normalModuleFactory.hooks.beforeResolve.tap(this.name, function(data) {
+                if (data && data.request === LOCALE_LOADER_REQUEST) {
+                    data.request = loaderPath;
+                }
+            });
+        }.bind(this));
+    }
+
+    compiler.hooks.beforeCompile.tapAsync(this.name, function(params, callback) {
+        if (this.ilibProblems) {
+            return callback();
+        }
+        // Find the copy of ilib that the app is built with the same way that
+        // webpack does, so that the resolve options of the app are taken into
+        // account too.
+        var resolver = compiler.resolverFactory.get("normal", {});
+        resolver.resolve({}, compiler.context, "ilib/package.json", {}, function(err, result) {
+            var appRoot = !err && result ? fs.realpathSync(path.dirname(result)) : undefined;
+            if (appRoot && !this.options.ilibRoot && appRoot !== this.ilibClasses.root) {
+                if (this.options.debug) console.log("ilib-webpack-plugin: Using the ilib in " + appRoot + " that the app resolves");
+                this.ilibClasses = loadIlibClasses(appRoot);
+                this.dataFiles = new DataFileCache();
+                this.localeDataEmitted = undefined;
+            }
+            this.ilibProblems = checkIlibVersion(this.options, this.ilibClasses.root, appRoot);
+            callback();
+        }.bind(this));
+    }.bind(this));
+
+    compiler.hooks.beforeCompile.tapAsync(this.name, function(params, callback) {
+        // With a persistent webpack cache, the loaders do not run again for the
+        // ilib modules that did not change, so they cannot tell the plugin which
+        // types of locale data they need. Take them from the last build instead.
+        var persistent = compiler.options.cache && compiler.options.cache.type === "filesystem";
+        var cache = persistent && this.localeData.size === 0 && this._getCache(compiler);
+        if (!cache) {
+            return callback();
+        }
+        cache.get(this._getCacheKey(true), function(err, entry) {
+            if (!err && entry) {
+                if (this.options.debug) console.log("ilib-webpack-plugin: Using the cached types of locale data " + entry.types.join(","));
+                entry.types.forEach(function(type) {
+                    this.localeData.add(type);
+                }.bind(this));
+            }
+            callback();
+        }.bind(this));
+    }.bind(this));
+
+    compiler.hooks.thisCompilation.tap(this.name, function(compilation) {
         compilation.ilibWebpackPlugin = this; // make sure the ilib webpack loaders can find this plugin
 
-        compilation.plugin('finish-modules', function(modules) {
-            // console.log("@@@@@@@@@@@@@@@@ finish-modules");
-            if (localeData.size > 0) {
-                try {
-                    var sources = emitLocaleData(compilation, this.options);
+        (this.ilibProblems || []).forEach(function(problem) {
+            (problem.severity === "error" ? compilation.errors : compilation.warnings).push(problem);
+        });
+
+        // the translations or the ilib data may have changed in watch mode
+        this._expandLocales();
+
+        var localesKey = JSON.stringify(this.options.locales);
+        var localesChanged = this.localesKey !== undefined && this.localesKey !== localesKey;
+        if (this.localesKey !== localesKey) {
+            if (this.options.debug && localesChanged) console.log("ilib-webpack-plugin: locales changed to " + this.options.locales.join(","));
+            this.localesKey = localesKey;
+            this.localeDataFiles = undefined;
+            this.localeDataEmitted = undefined;
+        }
+
+        if (this.options.splitLocales || this.localeData.size > 0) {
+            // The parts have to exist before the modules that import them are
+            // built, even when those modules come from the cache and the loaders
+            // do not ask for them.
+            this.getDummyLocaleDataFiles(compilation);
+        }
+        var loaderChanged = this.options.splitLocales &&
+            this._setVirtualFile(loaderPath, makeLocaleLoader(this.options, this.ilibClasses, localesDir));
+
+        compilation.hooks.finishModules.tapAsync(this.name, function(modules, callback) {
+            var emitData = function(err) {
+                if (err) {
+                    return callback(err);
+                }
+
+                if (this.localeData.size === 0 && !(this.options.includeData && this.options.includeData.length)) {
+                    if (this.options.debug) console.log("ilib-webpack-plugin: not writing data: locale data is not dirty or locale data size is zero");
+                    return callback();
+                }
 
-                    // Now update the in-memory modules with these sources because it doesn't
-                    // reread the files on disk that we just wrote out.
-                    modules.forEach(function(module) {
-                        if (sources[module.resource]) {
-                            module._source._value = '"use strict";' + sources[module.resource];
+                if (!this.localeDataEmitted) {
+                    return this._emitLocaleData(compilation, function(err) {
+                        if (err) {
+                            return callback(err);
                         }
+                        emitData();
                     });
-                } catch (e) {
-                    console.log("ilib-webpack-plugin: " + e.toString());
-                    throw e;
                 }
-            } else if (this.options.debug) {
-                console.log("ilib-webpack-plugin: not writing data: locale data is not dirty or locale data size is zero");
+                var sources = this.localeDataEmitted.sources;
+
+                // report the problems in every compilation, even when the data is reused
+                this.localeDataEmitted.problems.forEach(function(problem) {
+                    (problem.severity === "error" ? compilation.errors : compilation.warnings).push(problem);
+                });
+
+                if (this.options.explain) {
+                    // the logger of the compilation puts the explanations in its stats,
+                    // so that they are shown along with the rest of the build output
+                    var explanations = this._formatExplanations(findDataRequesters(modules));
+                    if (compilation.getLogger) {
+                        compilation.getLogger(this.name).info(explanations);
+                    } else {
+                        console.log(explanations);
+                    }
+                }
+
+                var keep = {};
+                var changed = {};
+                if (this.options.splitLocales) {
+                    keep[loaderPath] = true;
+                    changed[loaderPath] = loaderChanged;
+                }
+                for (var pathname in sources) {
+                    keep[pathname] = true;
+                    if (this._setVirtualFile(pathname, sources[pathname])) {
+                        changed[pathname] = true;
+                    }
+                }
+                (this.localeDataFiles || []).forEach(function(file) {
+                    keep[path.join(localesDir, file + (file === "ilibmanifest" ? ".json" : ".js"))] = true;
+                });
+                this._pruneVirtualFiles(keep);
+
+                // The locale data modules were built with the previous contents (or with
+                // the empty placeholder contents before the loaders told us which data is
+                // needed), so build the ones that changed again.
+                var toRebuild = [];
+                modules.forEach(function(module) {
+                    if (module.resource && changed[module.resource]) {
+                        toRebuild.push(module);
+                    }
+                });
+                if (this.options.debug && toRebuild.length) console.log("ilib-webpack-plugin: Rebuilding " + toRebuild.length + " locale data modules");
+                rebuildModules(compilation, toRebuild, callback);
+            }.bind(this);
+
+            if (localesChanged && !this.localeDataFiles) {
+                // The locale list changed, but the modules that load the locale data
+                // files were not processed again in this compilation, so they still
+                // refer to the old list of files. Build them again so that the loader
+                // can ask for the new list.
+                rebuildModules(compilation, findLocaleDataRequirers(compilation, modules, localesDir), emitData);
+            } else {
+                emitData();
+            }
+        }.bind(this));
+
+        var emitAssets = function() {
+            var assets = this._getAssets();
+
+            // the parts whose names contain a hash of their contents never change
+            var hashedFiles = new Set();
+            if (/\[contenthash/.test(this.options.localeFilename || "") && this.localeDataEmitted) {
+                var reportParts = this.localeDataEmitted.report.parts;
+                for (var part in reportParts) {
+                    if (reportParts[part].file) {
+                        hashedFiles.add(reportParts[part].file);
+                    }
+                }
             }
+
+            for (var name in assets) {
+                if (this.options.debug) console.log("ilib-webpack-plugin: Emitting asset " + name);
+                // The hashes, sizes and integrity hashes in the manifest and the
+                // report are those of the assets as they are, so the minimizers
+                // must leave them alone.
+                compilation.emitAsset(name, new RawSource(assets[name]), {
+                    minimized: true,
+                    immutable: hashedFiles.has(name)
+                });
+            }
+        }.bind(this);
+
+        if (this.options.report && compilation.hooks.statsFactory) {
+            // webpack 5: add the report to the stats so that other tools can use it
+            compilation.hooks.statsFactory.tap(this.name, function(statsFactory) {
+                statsFactory.hooks.extract.for("compilation").tap(this.name, function(object, comp) {
+                    if (comp === compilation && this.localeDataEmitted) {
+                        object.ilibReport = this.localeDataEmitted.report;
+                    }
+                }.bind(this));
+            }.bind(this));
+        }
+
+        if (compilation.hooks.processAssets) {
+            // webpack 5
+            compilation.hooks.processAssets.tap({
+                name: this.name,
+                stage: compiler.webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL
+            }, emitAssets);
+        } else {
+            // webpack 4
+            compilation.hooks.additionalAssets.tap(this.name, emitAssets);
+        }
+
+        // this runs after webpack has collected the file dependencies of all the modules
+        compilation.hooks.afterSeal.tap(this.name, function() {
+            // watch the ilib data files so that changes to them, including custom
+            // locale data files that did not exist before, cause the data to be
+            // emitted again
+            this.dataFiles.getFiles(true).forEach(function(pathname) {
+                compilation.fileDependencies.add(pathname);
+            });
+            this.dataFiles.getFiles(false).forEach(function(pathname) {
+                compilation.missingDependencies.add(pathname);
+            });
+            if (this.options.resourceDir) {
+                // new translations may change the list of locales
+                compilation.contextDependencies.add(path.resolve(this.options.resourceDir));
+            }
+
+            // The in-memory files and their directories do not exist on disk, so
+            // the watcher would think that they were deleted and start the
+            // compilation again.
+            var isVirtual = function(pathname) {
+                return Boolean(this.virtualFiles[pathname]) ||
+                    ((pathname === localesDir || localesDir.startsWith(pathname + path.sep)) && !fs.existsSync(pathname));
+            }.bind(this);
+            [compilation.fileDependencies, compilation.missingDependencies].forEach(function(deps) {
+                var remove = [];
+                deps.forEach(function(pathname) {
+                    if (isVirtual(pathname)) {
+                        remove.push(pathname);
+                    }
+                });
+                remove.forEach(function(pathname) {
+                    deps.delete(pathname);
+                });
+            });
         }.bind(this));
     }.bind(this));
 };
@@ -484,20 +3805,17 @@ IlibDataPlugin.prototype.apply = function(compiler) {
  * @param {String} data the name of the data type to add
  */
 IlibDataPlugin.prototype.addData = function(data) {
-    if (!localeData.has(data)) {
+    if (!this.localeData.has(data)) {
         // clear the cache to force the locale data to be emitted again next time
-        localeDataEmitted = undefined;
+        this.localeDataEmitted = undefined;
     }
-    localeData.add(data);
+    this.localeData.add(data);
 };
 
-
-var localeDataFiles;
-
 /**
  * Produce a set of js files that will eventually contain
  * the necessary locale data. These files are created
- * as empty files now so that the dependency graph of the
+ * as empty in-memory files now so that the dependency graph of the
  * compilation is correct. Then, later, the ilib webpack
  * plugin will fill in the contents of these files once
  * all other js files have been processed and we know for
@@ -527,8 +3845,8 @@ var localeDataFiles;
  */
 IlibDataPlugin.prototype.getDummyLocaleDataFiles = function(compilation) {
     // search the cache first
-    if (localeDataFiles) {
-        return localeDataFiles;
+    if (this.localeDataFiles) {
+        return this.localeDataFiles;
     }
 
     // not in the cache, so create the files
@@ -536,26 +3854,15 @@ IlibDataPlugin.prototype.getDummyLocaleDataFiles = function(compilation) {
     var outputSet = new Set();
 
     var locales = this.options.locales;
-    var tempDir = path.resolve(path.isAbsolute(this.options.tempDir) ? this.options.tempDir : path.join(process.cwd(), this.options.tempDir || 'assets'));
+    var tempDir = calcTempDir(this.options);
 
     if (this.options.debug) console.log("Creating locale data for locales " + locales.join(","));
 
+    var fallbacks = getFallbacks(this.options, this.ilibClasses).fallbacks;
     locales.forEach(function(locale) {
-        var l = new Locale(locale);
-
-        outputSet.add("root");
-        outputSet.add(l.language);
-
-        if (l.script) {
-            outputSet.add(l.language + "-" + l.script);
-            if (l.region) {
-                outputSet.add(l.language + "-" + l.script + "-" + l.region);
-            }
-        }
-        if (l.region) {
-            outputSet.add(l.language + "-" + l.region);
-            outputSet.add("und-" + l.region);
-        }
+        getLocaleDirs(locale, this.ilibClasses, fallbacks).forEach(function(localeDir) {
+            outputSet.add(toPartName(localeDir));
+        });
     }.bind(this));
 
     // Write out the manifest file so that the WebpackLoader knows when to attempt
@@ -570,30 +3877,95 @@ IlibDataPlugin.prototype.getDummyLocaleDataFiles = function(compilation) {
         })
     };
     var outputPath = path.join(tempDir, "locales");
-    makeDirs(outputPath);
     var manifestPath = path.join(outputPath, "ilibmanifest.json");
-    if (!fs.existsSync(manifestPath)) {
-        if (this.options.debug) console.log("Emitting " + path.join(outputPath, "ilibmanifest.json"));
-        fs.writeFileSync(manifestPath, JSON.stringify(manifestObj), "utf-8");
+    if (this._setVirtualFile(manifestPath, JSON.stringify(manifestObj))) {
+        if (this.options.debug) console.log("Emitting " + manifestPath);
     }
 
-    // now write out all the empty files
+    // now create all the empty files in memory. They are filled in
+    // with the real data once all the modules have been processed.
 
     files.forEach(function(fileName) {
         var outputFile = path.join(outputPath, fileName + ".js");
-        if (this.options.debug) console.log("Creating empty file " + outputFile);
-        if (!fs.existsSync(outputFile)) {
-            if (this.options.debug) console.log("Writing to " + outputFile);
-            makeDirs(path.dirname(outputFile));
-            fs.writeFileSync(outputFile, "", "utf-8"); // write empty file
+        if (!this.virtualFiles[outputFile]) {
+            if (this.options.debug) console.log("Creating empty file " + outputFile);
+            this._setVirtualFile(outputFile, "");
         }
     }.bind(this));
 
     // console.log("Done emitting locale data.");
+    if (this.options.splitLocales) {
+        // the locale loader module loads the other parts on demand
+        files = ["root"];
+    }
     files = files.concat(["ilibmanifest"]);
-    localeDataFiles = files;
+    this.localeDataFiles = files;
     return files;
 };
 
+/**
+ * Assemble the locale data for the given types of data without webpack.
+ * This produces the same locale part files and manifests that the plugin
+ * emits during a webpack build with the same options, so that apps that
+ * are not built with webpack can share the same locale data.
+ *
+ * @param {Object} options the same options that the plugin takes
+ * @param {Array.<string>} types the types of locale data to include,
+ * such as "sysres" or "dateformats"
+ * @returns {Object} an object with an "assets" property that maps the
+ * name of each file relative to the output directory to its contents, an
+ * "explanations" property with the text that the explain option asked
+ * for, and a "problems" property that contains an array of errors and
+ * warnings
+ */
+IlibDataPlugin.assemble = function(options, types) {
+    var plugin = new IlibDataPlugin(options);
+    types.forEach(function(type) {
+        plugin.addData(type);
+    });
+    plugin.getDummyLocaleDataFiles();
+
+    // without a compilation, the cache calls back right away
+    var error;
+    plugin._emitLocaleData(undefined, function(err) {
+        error = err;
+    });
+    if (error) {
+        throw error;
+    }
+    var emitted = plugin.localeDataEmitted;
+    for (var pathname in emitted.sources) {
+        plugin._setVirtualFile(pathname, emitted.sources[pathname]);
+    }
+
+    var requesters = {};
+    types.forEach(function(type) {
+        requesters[type] = ["the list of types of data"];
+    });
+
+    return {
+        assets: plugin._getAssets(),
+        explanations: plugin._formatExplanations(requesters),
+        problems: checkIlibVersion(plugin.options, plugin.ilibClasses.root).concat(emitted.problems)
+    };
+};
+
+/**
+ * Return the presets that the presets option can select, with
+ * everything that each one includes.
+ *
+ * @returns {Object} a mapping from the name of each preset to its
+ * "description" and its "data", "charsets" and "normalization" arrays
+ */
+IlibDataPlugin.getPresets = function() {
+    var presets = {};
+    Object.keys(PRESETS).forEach(function(name) {
+        var expanded = expandPresets(name);
+        expanded.description = PRESETS[name].description;
+        presets[name] = expanded;
+    });
+    return presets;
+};
+
 module.exports = IlibDataPlugin;
 
@@ -0,0 +1,178 @@
+/*
+ * helpers.js - functions that the tests of the plugin share
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var vm = require("vm");
+
+var tempRoot;
+
+/**
+ * Make a new empty directory for a test. All of the directories are
+ * removed by cleanup when the tests are done.
+ *
+ * @param {string} name the name of the directory
+ * @returns {string} the full path of the directory
+ */
+function makeTempDir(name) {
+    if (!tempRoot) {
+        tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "ilib-webpack-plugin-"));
+    }
+    var dir = fs.mkdtempSync(path.join(tempRoot, name + "-"));
+    return dir;
+}
+
+/**
+ * Remove all of the directories made by makeTempDir.
+ */
+function cleanup() {
+    if (tempRoot) {
+        fs.rmSync(tempRoot, {recursive: true, force: true});
+        tempRoot = undefined;
+    }
+}
+
+/**
+ * Write the given files under a directory, making the directories
+ * that they are in as needed.
+ *
+ * @param {string} dir the directory to write the files under
+ * @param {Object} files a mapping from the paths of the files relative
+ * to the directory to their contents. Objects are written as json.
+ */
+function writeFiles(dir, files) {
+    for (var name in files) {
+        var pathname = path.join(dir, name);
+        fs.mkdirSync(path.dirname(pathname), {recursive: true});
+        fs.writeFileSync(pathname, typeof(files[name]) === "string" ? files[name] : JSON.stringify(files[name]));
+    }
+}
+
+/**
+ * Return the messages of the problems of the given severity.
+ *
+ * @param {Array.<Error>} problems the problems to look at
+ * @param {string} [severity] "error" or "warning". Default: "error"
+ * @returns {Array.<string>} the messages
+ */
+function messagesOf(problems, severity) {
+    return problems.filter(function(problem) {
+        return problem.severity === (severity || "error");
+    }).map(function(problem) {
+        return problem.message;
+    });
+}
+
+/**
+ * Install the CommonJS locale parts among the given assets into an
+ * empty ilib.data, the way that the bundle installs them.
+ *
+ * @param {Object} assets a mapping from the names of the assets to
+ * their contents, as returned by IlibDataPlugin.assemble
+ * @param {Array.<string>} [parts] the names of the parts to install.
+ * Default: all of them
+ * @returns {Object} the ilib.data with the data of the parts
+ */
+function installParts(assets, parts) {
+    var ilib = {
+        data: {
+            norm: {nfc: {}, nfd: {}, nfkc: {}, nfkd: {}},
+            zoneinfo: {}
+        },
+        extend: require("ilib/lib/ilib.js").extend
+    };
+    Object.keys(assets).forEach(function(name) {
+        var match = /^locales\/(.*)\.js$/.exec(name);
+        if (!match || /manifest$/.test(match[1]) || (parts && parts.indexOf(match[1]) === -1)) return;
+        // the parts without any data of the requested types are empty
+        if (!assets[name]) return;
+        var sandbox = {
+            module: {
+                exports: {}
+            }
+        };
+        vm.runInNewContext(assets[name], sandbox);
+        sandbox.module.exports.installLocale(ilib);
+    });
+    // copy the data out of the contexts of the parts
+    return JSON.parse(JSON.stringify(ilib.data));
+}
+
+/**
+ * Make the webpack configuration of a small app that is built with
+ * the plugin.
+ *
+ * @param {Object} settings the "entry" source of the app, the "plugin"
+ * options, and optionally the webpack "mode" and "target" and the "dir"
+ * to build in
+ * @returns {Object} the configuration. The app is written to dist in
+ * the "dir", which is a new directory by default, and the plugin uses
+ * tmp in it as its tempDir by default.
+ */
+function makeConfig(settings) {
+    var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+    var dir = settings.dir || makeTempDir("build");
+    writeFiles(dir, {
+        "index.js": settings.entry || "module.exports = 1;\n"
+    });
+    var options = settings.plugin;
+    if (!options.tempDir) {
+        options.tempDir = path.join(dir, "tmp");
+    }
+    return {
+        mode: settings.mode || "development",
+        devtool: false,
+        target: settings.target || "web",
+        context: path.join(__dirname, ".."),
+        entry: path.join(dir, "index.js"),
+        output: {
+            path: path.join(dir, "dist")
+        },
+        resolve: {
+            modules: [path.join(__dirname, "../node_modules")]
+        },
+        plugins: [new IlibDataPlugin(options)]
+    };
+}
+
+/**
+ * Build a small app with webpack and the plugin.
+ *
+ * @param {Object} settings the settings of the app, as for makeConfig
+ * @param {Function(Error, Object, string)} callback called with an error,
+ * if any, the webpack stats and the directory of the build
+ */
+function compile(settings, callback) {
+    var webpack = require("webpack");
+    var config = makeConfig(settings);
+    webpack(config, function(err, stats) {
+        callback(err, stats, path.dirname(config.output.path));
+    });
+}
+
+module.exports = {
+    makeConfig: makeConfig,
+    compile: compile,
+    installParts: installParts,
+    makeTempDir: makeTempDir,
+    cleanup: cleanup,
+    writeFiles: writeFiles,
+    messagesOf: messagesOf
+};
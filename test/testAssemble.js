@@ -0,0 +1,61 @@
+/*
+ * testAssemble.js - test the ilib-assemble command
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var childProcess = require("child_process");
+var fs = require("fs");
+var path = require("path");
+var helpers = require("./helpers.js");
+
+var command = path.join(__dirname, "../ilib-assemble.js");
+
+// run the command and return its exit status and output
+function run(args) {
+    var result = childProcess.spawnSync(process.execPath, [command].concat(args), {
+        encoding: "utf-8"
+    });
+    return {
+        status: result.status,
+        stdout: result.stdout,
+        stderr: result.stderr
+    };
+}
+
+module.exports = {
+    testExampleOfTheHelpAssemblesWithoutWarnings: function() {
+        var help = run(["--help"]);
+        assert.strictEqual(help.status, 0);
+        var match = /--data <list>[^\n]*\n\s*([a-z,]+)\n/.exec(help.stdout);
+        assert.ok(match, help.stdout);
+
+        var output = helpers.makeTempDir("assemble");
+        var result = run(["--locales", "en-US,de-DE", "--data", match[1], "--output", output]);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.strictEqual(result.stderr, "");
+        assert.ok(fs.existsSync(path.join(output, "locales/de-DE.js")));
+    },
+
+    testUnknownTypeIsAWarning: function() {
+        var output = helpers.makeTempDir("assemble");
+        var result = run(["--locales", "de-DE", "--data", "sysres,numfmt", "--output", output]);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.ok(/WARNING: .*There is no data of the type numfmt in any of the data roots/.test(result.stderr), result.stderr);
+        assert.ok(!/type sysres/.test(result.stderr), result.stderr);
+    }
+};
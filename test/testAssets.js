@@ -0,0 +1,94 @@
+/*
+ * testAssets.js - test the locale data that the plugin emits as assets
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var helpers = require("./helpers.js");
+
+module.exports = {
+    testLocalePartsAreEmittedAsAssets: function(done) {
+        helpers.compile({
+            plugin: {
+                locales: ["de-DE"],
+                includeData: ["localeinfo"]
+            }
+        }, function(err, stats, dir) {
+            if (err) {
+                return done(err);
+            }
+            try {
+                var info = stats.toJson({all: false, assets: true, errors: true});
+                assert.deepStrictEqual(info.errors, []);
+                var emitted = info.assets.map(function(asset) {
+                    return asset.name;
+                }).sort();
+                assert.deepStrictEqual(emitted, [
+                    "locales/de-DE.js",
+                    "locales/de.js",
+                    "locales/localmanifest.js",
+                    "locales/remotemanifest.js",
+                    "locales/root.js",
+                    "locales/und-DE.js",
+                    "main.js"
+                ]);
+
+                // the same parts as the ones that are assembled without webpack
+                var assembled = IlibDataPlugin.assemble({
+                    locales: ["de-DE"],
+                    tempDir: helpers.makeTempDir("assembled")
+                }, ["localeinfo"]).assets;
+                emitted.forEach(function(name) {
+                    if (name === "main.js") return;
+                    assert.strictEqual(fs.readFileSync(path.join(dir, "dist", name), "utf-8"), assembled[name], name);
+                });
+                assert.ok(/localeinfo_de = /.test(assembled["locales/de.js"]));
+
+                // the parts are kept in memory instead of being written to the tempDir
+                assert.ok(!fs.existsSync(path.join(dir, "tmp")));
+            } catch (e) {
+                return done(e);
+            }
+            done();
+        });
+    },
+
+    testNoAssetsWithoutLocaleData: function(done) {
+        helpers.compile({
+            plugin: {
+                locales: ["de-DE"]
+            }
+        }, function(err, stats) {
+            if (err) {
+                return done(err);
+            }
+            try {
+                var info = stats.toJson({all: false, assets: true, errors: true});
+                assert.deepStrictEqual(info.errors, []);
+                assert.deepStrictEqual(info.assets.map(function(asset) {
+                    return asset.name;
+                }), ["main.js"]);
+            } catch (e) {
+                return done(e);
+            }
+            done();
+        });
+    }
+};
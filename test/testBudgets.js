@@ -0,0 +1,75 @@
+/*
+ * testBudgets.js - test the size budgets of the locale data
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var helpers = require("./helpers.js");
+
+function assemble(budgets) {
+    return IlibDataPlugin.assemble({
+        locales: ["de-DE"],
+        budgets: budgets,
+        report: true,
+        tempDir: helpers.makeTempDir("assets")
+    }, ["localeinfo", "sysres"]);
+}
+
+module.exports = {
+    testPartsOverTheBudgetAreWarnings: function() {
+        var result = assemble({part: 1000});
+        var report = JSON.parse(result.assets["ilib-report.json"]);
+        assert.deepStrictEqual(helpers.messagesOf(result.problems), []);
+
+        var over = Object.keys(report.parts).filter(function(name) {
+            return report.parts[name].size > 1000;
+        });
+        assert.deepStrictEqual(over, ["root", "de"]);
+        var warnings = helpers.messagesOf(result.problems, "warning");
+        assert.strictEqual(warnings.length, over.length);
+        over.forEach(function(name, i) {
+            assert.ok(warnings[i].indexOf("The locale part " + name + " is " + report.parts[name].size +
+                " bytes, which is over the budget of 1000 bytes.") > -1, warnings[i]);
+            // sysres is the biggest type of data in both parts
+            assert.ok(/The largest types of data in it are sysres \(\d+ bytes\), localeinfo \(\d+ bytes\)/.test(warnings[i]), warnings[i]);
+        });
+    },
+
+    testLocaleAndTotalBudgets: function() {
+        var result = assemble({locale: 1000, total: 1000});
+        var report = JSON.parse(result.assets["ilib-report.json"]);
+        var warnings = result.problems.filter(function(problem) {
+            return problem.severity === "warning";
+        });
+        assert.strictEqual(warnings.length, 2);
+        assert.strictEqual(warnings[0].locale, "de-DE");
+        assert.ok(warnings[0].message.indexOf("The locale data for de-DE is " + report.locales["de-DE"].size + " bytes") > -1);
+        assert.ok(warnings[1].message.indexOf("All of the locale data is " + report.size + " bytes") > -1);
+    },
+
+    testBudgetsWithTheErrorSeverity: function() {
+        var result = assemble({total: 1000, severity: "error"});
+        assert.strictEqual(helpers.messagesOf(result.problems).length, 1);
+        assert.deepStrictEqual(helpers.messagesOf(result.problems, "warning"), []);
+    },
+
+    testNothingIsReportedWithinTheBudgets: function() {
+        var result = assemble({part: 1000000, locale: 1000000, total: 1000000});
+        assert.deepStrictEqual(result.problems, []);
+    }
+};
@@ -0,0 +1,173 @@
+/*
+ * testCache.js - test the persistent cache of the locale data
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var helpers = require("./helpers.js");
+
+// assemble the locale data and tell whether it came from the cache
+function assemble(options) {
+    var printed = [];
+    var log = console.log;
+    console.log = function() {
+        printed.push(Array.prototype.join.call(arguments, " "));
+    };
+    var result;
+    try {
+        options.debug = true;
+        result = IlibDataPlugin.assemble(options, ["localeinfo"]);
+    } finally {
+        console.log = log;
+    }
+    result.cached = printed.indexOf("ilib-webpack-plugin: Using the cached locale data") > -1;
+    return result;
+}
+
+function makeOptions(cache, custom) {
+    return {
+        locales: ["de-DE", "xx-YY"],
+        customDataRoots: [custom],
+        cache: cache,
+        tempDir: helpers.makeTempDir("assets")
+    };
+}
+
+module.exports = {
+    testUnchangedDataComesFromTheCache: function() {
+        var cache = helpers.makeTempDir("cache");
+        var custom = helpers.makeTempDir("custom");
+        helpers.writeFiles(custom, {
+            "de/localeinfo.json": {marker: "first"}
+        });
+        var options = makeOptions(cache, custom);
+        var first = assemble(options);
+        assert.ok(!first.cached);
+        assert.ok(fs.readdirSync(cache).length > 0);
+
+        var second = assemble(options);
+        assert.ok(second.cached);
+        assert.deepStrictEqual(second.assets, first.assets);
+        // the problems are kept in the cache too
+        assert.deepStrictEqual(helpers.messagesOf(second.problems, "warning"), helpers.messagesOf(first.problems, "warning"));
+        assert.ok(helpers.messagesOf(second.problems, "warning").length > 0);
+    },
+
+    testChangedDataIsNotTakenFromTheCache: function() {
+        var cache = helpers.makeTempDir("cache");
+        var custom = helpers.makeTempDir("custom");
+        helpers.writeFiles(custom, {
+            "de/localeinfo.json": {marker: "first"}
+        });
+        var options = makeOptions(cache, custom);
+        assemble(options);
+
+        helpers.writeFiles(custom, {
+            "de/localeinfo.json": {marker: "the second one"}
+        });
+        var changed = assemble(options);
+        assert.ok(!changed.cached);
+        assert.ok(/"marker":"the second one"/.test(changed.assets["locales/de.js"]));
+
+        // a data file that did not exist before
+        helpers.writeFiles(custom, {
+            "de/DE/localeinfo.json": {marker: "new"}
+        });
+        var added = assemble(options);
+        assert.ok(!added.cached);
+        assert.ok(/"marker":"new"/.test(added.assets["locales/de-DE.js"]));
+        assert.ok(assemble(options).cached);
+    },
+
+    testOtherOptionsHaveTheirOwnEntries: function() {
+        var cache = helpers.makeTempDir("cache");
+        var custom = helpers.makeTempDir("custom");
+        assemble(makeOptions(cache, custom));
+        var options = makeOptions(cache, custom);
+        options.locales = ["fr-FR"];
+        var other = assemble(options);
+        assert.ok(!other.cached);
+        assert.ok(other.assets["locales/fr.js"]);
+    },
+
+    testNoCache: function() {
+        var custom = helpers.makeTempDir("custom");
+        var options = makeOptions(false, custom);
+        assemble(options);
+        assert.ok(!assemble(options).cached);
+    },
+
+    testWebpackCacheIsUsedByDefault: function(done) {
+        var webpack = require("webpack");
+        var cacheDirectory = helpers.makeTempDir("webpack-cache");
+        var dir = helpers.makeTempDir("build");
+        var build = function(callback) {
+            var printed = [];
+            var log = console.log;
+            console.log = function() {
+                printed.push(Array.prototype.join.call(arguments, " "));
+            };
+            var config = helpers.makeConfig({
+                dir: dir,
+                plugin: {
+                    locales: ["de-DE"],
+                    includeData: ["localeinfo"],
+                    debug: true
+                }
+            });
+            config.cache = {
+                type: "filesystem",
+                cacheDirectory: cacheDirectory
+            };
+            var compiler = webpack(config);
+            compiler.run(function(err, stats) {
+                // the cache is written out when the compiler is closed
+                compiler.close(function(closeErr) {
+                    console.log = log;
+                    callback(err || closeErr, stats, printed.indexOf("ilib-webpack-plugin: Using the cached locale data") > -1);
+                });
+            });
+        };
+        build(function(err, stats, cached) {
+            if (err) {
+                return done(err);
+            }
+            try {
+                assert.ok(!cached);
+            } catch (e) {
+                return done(e);
+            }
+            var first = fs.readFileSync(path.join(dir, "dist/locales/de.js"), "utf-8");
+            build(function(err, stats, cached) {
+                if (err) {
+                    return done(err);
+                }
+                try {
+                    assert.ok(cached);
+                    assert.deepStrictEqual(stats.toJson({all: false, errors: true}).errors, []);
+                    assert.strictEqual(fs.readFileSync(path.join(dir, "dist/locales/de.js"), "utf-8"), first);
+                } catch (e) {
+                    return done(e);
+                }
+                done();
+            });
+        });
+    }
+};
@@ -0,0 +1,78 @@
+/*
+ * testCustomData.js - test the custom data roots
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var helpers = require("./helpers.js");
+
+function assemble(roots, types) {
+    var result = IlibDataPlugin.assemble({
+        locales: ["de-DE"],
+        customDataRoots: roots,
+        tempDir: helpers.makeTempDir("assets")
+    }, types);
+    assert.deepStrictEqual(helpers.messagesOf(result.problems), []);
+    return helpers.installParts(result.assets);
+}
+
+module.exports = {
+    testCustomDataIsMergedOverTheIlibData: function() {
+        var custom = helpers.makeTempDir("custom");
+        helpers.writeFiles(custom, {
+            "de/localeinfo.json": {
+                currency: "CHF",
+                numfmt: {
+                    decimalChar: "."
+                }
+            }
+        });
+        var stock = assemble([], ["localeinfo"]).localeinfo_de;
+        var merged = assemble([custom], ["localeinfo"]).localeinfo_de;
+        assert.strictEqual(merged.currency, "CHF");
+        assert.strictEqual(merged.numfmt.decimalChar, ".");
+        // the rest of the stock data is still there
+        assert.strictEqual(merged.numfmt.groupChar, stock.numfmt.groupChar);
+        assert.strictEqual(merged["language.name"], stock["language.name"]);
+    },
+
+    testLaterRootsOverrideEarlierOnes: function() {
+        var first = helpers.makeTempDir("first");
+        var second = helpers.makeTempDir("second");
+        helpers.writeFiles(first, {
+            "de/DE/localeinfo.json": {a: "first", b: "first"}
+        });
+        helpers.writeFiles(second, {
+            "de/DE/localeinfo.json": {b: "second"}
+        });
+        var data = assemble([first, second], ["localeinfo"]);
+        assert.strictEqual(data.localeinfo_de_DE.a, "first");
+        assert.strictEqual(data.localeinfo_de_DE.b, "second");
+    },
+
+    testFilesOnlyInTheCustomRootsAreIncluded: function() {
+        var custom = helpers.makeTempDir("custom");
+        helpers.writeFiles(custom, {
+            "mydata.json": {root: true},
+            "de/DE/mydata.json": {german: true}
+        });
+        var data = assemble([custom], ["mydata"]);
+        assert.deepStrictEqual(data.mydata, {root: true});
+        assert.deepStrictEqual(data.mydata_de_DE, {german: true});
+    }
+};
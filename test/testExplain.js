@@ -0,0 +1,57 @@
+/*
+ * testExplain.js - test the explain option
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var helpers = require("./helpers.js");
+
+module.exports = {
+    testExplanationsAreLoggedToTheCompilation: function(done) {
+        var printed = [];
+        var log = console.log;
+        console.log = function() {
+            printed.push(Array.prototype.join.call(arguments, " "));
+        };
+        helpers.compile({
+            plugin: {
+                locales: ["de-CH"],
+                includeData: ["dateformats"],
+                explain: ["de-CH dateformats"]
+            }
+        }, function(err, stats) {
+            console.log = log;
+            if (err) {
+                return done(err);
+            }
+            try {
+                var logging = stats.toJson({all: false, logging: "info"}).logging;
+                var entries = (logging.IlibWebpackPlugin || {entries: []}).entries;
+                assert.strictEqual(entries.length, 1);
+                assert.strictEqual(entries[0].type, "info");
+                assert.ok(/The dateformats data of de-CH/.test(entries[0].message), entries[0].message);
+                assert.ok(/Asked for by: the includeData option/.test(entries[0].message), entries[0].message);
+                assert.ok(!printed.some(function(line) {
+                    return /The dateformats data of de-CH/.test(line);
+                }), printed.join("\n"));
+            } catch (e) {
+                return done(e);
+            }
+            done();
+        });
+    }
+};
@@ -0,0 +1,114 @@
+/*
+ * testFallbacks.js - test the fallback chains of the locales
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var vm = require("vm");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var Utils = require("ilib/lib/Utils.js");
+var JSUtils = require("ilib/lib/JSUtils.js");
+var helpers = require("./helpers.js");
+
+var types = ["localeinfo", "dateformats"];
+
+function assemble(locales, fallbacks) {
+    return IlibDataPlugin.assemble({
+        locales: locales,
+        fallbacks: fallbacks,
+        tempDir: helpers.makeTempDir("assets")
+    }, types);
+}
+
+function loadManifest(text) {
+    var sandbox = {
+        module: {
+            exports: {}
+        }
+    };
+    vm.runInNewContext(text, sandbox);
+    return JSON.parse(JSON.stringify(sandbox.module.exports));
+}
+
+// merge the data of a type in the given parts, the way ilib does
+function mergeParts(data, type, parts) {
+    return parts.reduce(function(merged, part) {
+        var name = type + (part === "root" ? "" : "_" + part.replace(/-/g, "_"));
+        return data[name] ? JSUtils.merge(merged, data[name]) : merged;
+    }, {});
+}
+
+module.exports = {
+    testFallbackPartsAreInsertedIntoTheChain: function() {
+        var result = assemble(["en-AU"], {"en-AU": "en-GB"});
+        assert.deepStrictEqual(result.problems, []);
+        var chain = ["root", "en", "und-GB", "en-GB", "und-AU", "en-AU"];
+
+        var local = loadManifest(result.assets["locales/localmanifest.js"]);
+        var remote = loadManifest(result.assets["locales/remotemanifest.js"]);
+        assert.deepStrictEqual(local.chains, {"en-AU": chain});
+        assert.deepStrictEqual(remote.chains, {"en-AU": chain});
+        ["en-GB", "und-GB"].forEach(function(part) {
+            assert.ok(result.assets["locales/" + part + ".js"], part + " is not emitted");
+            assert.ok(remote.files.indexOf(part + ".js") > -1, part + " is not in the manifest");
+        });
+        assert.ok(local.files.indexOf("en/GB/dateformats.json") > -1);
+    },
+
+    testFallbackOfAFallback: function() {
+        var result = assemble(["es-AR"], {"es-AR": "es-MX", "es-MX": "es-US"});
+        assert.deepStrictEqual(result.problems, []);
+        assert.deepStrictEqual(loadManifest(result.assets["locales/remotemanifest.js"]).chains, {
+            "es-AR": ["root", "es", "und-US", "es-US", "und-MX", "es-MX", "und-AR", "es-AR"]
+        });
+    },
+
+    testFallbackDataIsMergedIntoTheLocale: function() {
+        var data = helpers.installParts(assemble(["en-AU"], {"en-AU": "en-GB"}).assets);
+        var chain = ["root", "en", "und-GB", "en-GB", "und-AU", "en-AU"];
+        // ilib itself only reads the normal chain of the locale
+        types.forEach(function(type) {
+            assert.deepStrictEqual(mergeParts(data, type, Utils.getSublocales("en-AU")), mergeParts(data, type, chain), type);
+        });
+
+        var plain = helpers.installParts(assemble(["en-AU"], {}).assets);
+        assert.notDeepStrictEqual(mergeParts(data, "dateformats", Utils.getSublocales("en-AU")),
+            mergeParts(plain, "dateformats", Utils.getSublocales("en-AU")));
+    },
+
+    testFallbacksOfSharedPartsAreIgnored: function() {
+        var result = assemble(["en-AU", "pt", "zh-TW", "zh-Hant-TW"], {
+            "en-AU": "en-GB",
+            "pt": "pt-PT",
+            "zh-TW": "zh-HK"
+        });
+        assert.deepStrictEqual(helpers.messagesOf(result.problems), []);
+        var warnings = result.problems.filter(function(problem) {
+            return problem.severity === "warning";
+        });
+        assert.deepStrictEqual(warnings.map(function(warning) {
+            return warning.locale;
+        }), ["pt", "zh-TW"]);
+        assert.ok(/The fallback of the locale pt to pt-PT is ignored, because its data would have to be merged into the pt part/.test(warnings[0].message), warnings[0].message);
+        assert.ok(/merged into the zh-TW part, which other locales use too/.test(warnings[1].message), warnings[1].message);
+
+        var remote = loadManifest(result.assets["locales/remotemanifest.js"]);
+        assert.deepStrictEqual(Object.keys(remote.chains), ["en-AU"]);
+        assert.ok(!result.assets["locales/pt-PT.js"]);
+        assert.ok(!result.assets["locales/zh-HK.js"]);
+    }
+};
@@ -0,0 +1,135 @@
+/*
+ * testFormats.js - test the formats of the locale part files
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var helpers = require("./helpers.js");
+
+// install the ES module parts among the assets into an empty ilib.data
+function installModules(assets) {
+    var ilib = {
+        data: {
+            norm: {nfc: {}, nfd: {}, nfkc: {}, nfkd: {}},
+            zoneinfo: {}
+        },
+        extend: require("ilib/lib/ilib.js").extend
+    };
+    var names = Object.keys(assets).filter(function(name) {
+        return /^locales\/.*\.js$/.test(name) && !/manifest\.js$/.test(name);
+    });
+    return Promise.all(names.map(function(name) {
+        return import("data:text/javascript," + encodeURIComponent(assets[name]));
+    })).then(function(parts) {
+        parts.forEach(function(part) {
+            part.installLocale(ilib);
+        });
+        return import("data:text/javascript," + encodeURIComponent(assets["locales/localmanifest.js"]));
+    }).then(function(manifest) {
+        return {
+            data: ilib.data,
+            manifest: manifest
+        };
+    });
+}
+
+module.exports = {
+    testEsmFormat: function(done) {
+        var options = {
+            locales: ["de-DE", "fr-FR"],
+            tempDir: helpers.makeTempDir("commonjs")
+        };
+        var types = ["localeinfo", "sysres"];
+        var commonjs = IlibDataPlugin.assemble(options, types);
+        options.format = "esm";
+        options.tempDir = helpers.makeTempDir("esm");
+        var esm = IlibDataPlugin.assemble(options, types);
+        assert.deepStrictEqual(helpers.messagesOf(esm.problems), []);
+        assert.deepStrictEqual(Object.keys(esm.assets).sort(), Object.keys(commonjs.assets).sort());
+
+        installModules(esm.assets).then(function(result) {
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(result.data)), helpers.installParts(commonjs.assets));
+            assert.ok(result.manifest.files.indexOf("de/localeinfo.json") > -1);
+            done();
+        }).catch(done);
+    },
+
+    testJsonFormat: function() {
+        var result = IlibDataPlugin.assemble({
+            locales: ["de-DE", "fr-FR"],
+            format: "json",
+            separateTimeZones: true,
+            selfTest: "error",
+            tempDir: helpers.makeTempDir("json")
+        }, ["localeinfo", "zoneinfo"]);
+        assert.deepStrictEqual(helpers.messagesOf(result.problems), []);
+
+        var manifest = JSON.parse(result.assets["locales/remotemanifest.json"]);
+        assert.ok(manifest.files.indexOf("de-DE.json") > -1);
+        manifest.files.forEach(function(file) {
+            var asset = result.assets[path.posix.join("locales", file)];
+            assert.ok(asset, file + " is not emitted");
+            JSON.parse(asset);
+        });
+        assert.ok(JSON.parse(result.assets["locales/zoneinfo.json"]).zoneinfo["Europe/Berlin"]);
+    },
+
+    testJsonFormatWithSplitLocales: function(done) {
+        helpers.compile({
+            entry: 'require("ilib-webpack-plugin/loadLocale").loadLocale("de-DE");\n',
+            plugin: {
+                locales: ["de-DE", "fr-FR"],
+                includeData: ["localeinfo", "zoneinfo"],
+                splitLocales: true,
+                separateTimeZones: true,
+                format: "json"
+            }
+        }, function(err, stats, dir) {
+            if (err) {
+                return done(err);
+            }
+            try {
+                var info = stats.toJson({all: false, errors: true, assets: true, chunks: true});
+                assert.deepStrictEqual(info.errors.map(function(error) {
+                    return error.message;
+                }), []);
+
+                var chunks = info.chunks.map(function(chunk) {
+                    return chunk.names[0];
+                });
+                ["locale-de-DE", "locale-fr-FR", "zoneinfo"].forEach(function(name) {
+                    assert.ok(chunks.indexOf(name) > -1, "there is no chunk " + name);
+                });
+
+                var assets = info.assets.map(function(asset) {
+                    return asset.name;
+                });
+                ["locales/de-DE.json", "locales/fr-FR.json", "locales/remotemanifest.json"].forEach(function(name) {
+                    assert.ok(assets.indexOf(name) > -1, name + " is not emitted");
+                });
+                // the time zones are loaded by the module of the root part in the bundle
+                assert.ok(fs.readFileSync(path.join(dir, "dist/main.js"), "utf-8").indexOf("ilib.loadTimeZoneData") > -1);
+                done();
+            } catch (e) {
+                done(e);
+            }
+        });
+    }
+};
@@ -0,0 +1,99 @@
+/*
+ * testHashing.js - test the content-hashed names of the locale parts
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
+var helpers = require("./helpers.js");
+
+module.exports = {
+    testHashedPartsMatchTheManifest: function(done) {
+        // production mode runs the minifiers, which must not change the parts
+        helpers.compile({
+            mode: "production",
+            plugin: {
+                locales: ["de-DE", "fr-FR"],
+                includeData: ["localeinfo", "sysres"],
+                localeFilename: "locales/[name].[contenthash:8].js",
+                budgets: {
+                    part: 1
+                }
+            }
+        }, function(err, stats, dir) {
+            if (err) {
+                return done(err);
+            }
+            try {
+                var info = stats.toJson({all: false, errors: true, warnings: true, assets: true});
+                assert.deepStrictEqual(info.errors, []);
+
+                var manifest = require(path.join(dir, "dist/locales/remotemanifest.js"));
+                assert.ok(manifest.parts["de-DE"]);
+                Object.keys(manifest.parts).forEach(function(part) {
+                    var entry = manifest.parts[part];
+                    assert.ok(new RegExp("^locales/" + part + "\\.[0-9a-f]{8}\\.js$").test(entry.file), entry.file);
+                    var contents = fs.readFileSync(path.join(dir, "dist", entry.file));
+                    assert.strictEqual(entry.size, contents.length, "size of " + entry.file);
+                    assert.strictEqual(entry.integrity,
+                        "sha384-" + crypto.createHash("sha384").update(contents).digest("base64"), "integrity of " + entry.file);
+                    assert.strictEqual(entry.file.split(".")[1],
+                        crypto.createHash("sha256").update(contents).digest("hex").substring(0, 8), "hash of " + entry.file);
+
+                    // the budgets are checked against the same sizes
+                    assert.ok(info.warnings.some(function(warning) {
+                        return warning.message.indexOf("The locale part " + part + " is " + contents.length + " bytes") > -1;
+                    }), "no budget warning for " + part);
+
+                    var asset = info.assets.filter(function(asset) {
+                        return asset.name === entry.file;
+                    })[0];
+                    assert.ok(asset.info.immutable, entry.file + " is not immutable");
+                });
+                done();
+            } catch (e) {
+                done(e);
+            }
+        });
+    },
+
+    testPlainNamesAreNotImmutable: function(done) {
+        helpers.compile({
+            plugin: {
+                locales: ["de-DE"],
+                includeData: ["localeinfo"]
+            }
+        }, function(err, stats) {
+            if (err) {
+                return done(err);
+            }
+            try {
+                var info = stats.toJson({all: false, assets: true});
+                var asset = info.assets.filter(function(asset) {
+                    return asset.name === "locales/de-DE.js";
+                })[0];
+                assert.ok(asset);
+                assert.ok(!asset.info.immutable);
+                done();
+            } catch (e) {
+                done(e);
+            }
+        });
+    }
+};
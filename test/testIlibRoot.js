@@ -0,0 +1,84 @@
+/*
+ * testIlibRoot.js - test where the plugin takes ilib and its data from
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var helpers = require("./helpers.js");
+
+// make a copy of ilib with the given version and a little locale data of
+// its own that it shares the classes of the installed copy with
+function makeIlibCopy(version) {
+    var root = helpers.makeTempDir("ilib");
+    fs.symlinkSync(path.join(__dirname, "../node_modules/ilib/lib"), path.join(root, "lib"), "dir");
+    helpers.writeFiles(root, {
+        "package.json": {name: "ilib", version: version},
+        "locale/localeinfo.json": {copy: "root"},
+        "locale/de/DE/localeinfo.json": {copy: "de-DE"}
+    });
+    return root;
+}
+
+function assemble(options) {
+    options.locales = ["de-DE"];
+    options.tempDir = helpers.makeTempDir("assets");
+    return IlibDataPlugin.assemble(options, ["localeinfo"]);
+}
+
+module.exports = {
+    testInstalledIlibIsTheDefault: function() {
+        var plugin = new IlibDataPlugin({locales: ["de-DE"]});
+        assert.strictEqual(plugin.ilibClasses.root, fs.realpathSync(path.join(__dirname, "../node_modules/ilib")));
+    },
+
+    testEachInstanceKeepsItsOwnIlib: function() {
+        var root = makeIlibCopy("14.99.0");
+        var copy = new IlibDataPlugin({locales: ["de-DE"], ilibRoot: root});
+        var installed = new IlibDataPlugin({locales: ["de-DE"]});
+        assert.strictEqual(copy.ilibClasses.root, fs.realpathSync(root));
+        assert.notStrictEqual(installed.ilibClasses.root, copy.ilibClasses.root);
+
+        var fromCopy = assemble({ilibRoot: root});
+        var fromInstalled = assemble({});
+        assert.deepStrictEqual(fromCopy.problems, []);
+        var data = helpers.installParts(fromCopy.assets);
+        assert.deepStrictEqual(data.localeinfo, {copy: "root"});
+        assert.deepStrictEqual(data.localeinfo_de_DE, {copy: "de-DE"});
+        data = helpers.installParts(fromInstalled.assets);
+        assert.strictEqual(data.localeinfo.copy, undefined);
+        assert.ok(data.localeinfo_de);
+    },
+
+    testUnsupportedIlibIsReported: function() {
+        var result = assemble({ilibRoot: makeIlibCopy("13.0.0")});
+        assert.deepStrictEqual(helpers.messagesOf(result.problems, "warning").map(function(message) {
+            return /ilib 13\.0\.0 in .* is not supported/.test(message);
+        }), [true]);
+
+        result = assemble({ilibRoot: makeIlibCopy("13.0.0"), versionCheck: "error"});
+        assert.strictEqual(helpers.messagesOf(result.problems).length, 1);
+    },
+
+    testMissingIlibIsAnError: function() {
+        assert.throws(function() {
+            new IlibDataPlugin({locales: ["de-DE"], ilibRoot: helpers.makeTempDir("empty")});
+        }, /could not find ilib in /);
+    }
+};
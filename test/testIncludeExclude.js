@@ -0,0 +1,84 @@
+/*
+ * testIncludeExclude.js - test the options that include or exclude data
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var helpers = require("./helpers.js");
+
+function assemble(options, types) {
+    options.locales = ["de-DE"];
+    options.tempDir = helpers.makeTempDir("assets");
+    var result = IlibDataPlugin.assemble(options, types);
+    assert.deepStrictEqual(helpers.messagesOf(result.problems), []);
+    return helpers.installParts(result.assets);
+}
+
+module.exports = {
+    testIncludeAndExcludeData: function() {
+        var data = assemble({
+            includeData: ["plurals"],
+            excludeData: ["sysres"]
+        }, ["localeinfo", "sysres"]);
+        assert.ok(data.localeinfo_de);
+        assert.ok(data.plurals_de);
+        assert.strictEqual(data.sysres, undefined);
+        assert.strictEqual(data.sysres_de, undefined);
+    },
+
+    testIncludeAndExcludeCharsets: function() {
+        var plain = assemble({}, ["charmaps"]);
+        assert.ok(plain.charset_ISO_8859_1);
+        assert.strictEqual(plain.charset_KOI8_R, undefined);
+
+        var data = assemble({
+            includeCharsets: ["KOI8-R"],
+            excludeCharsets: ["ISO-8859-1"]
+        }, ["charmaps"]);
+        // the included charsets get their charmaps too
+        assert.ok(data.charset_KOI8_R);
+        assert.ok(data.charmaps_KOI8_R);
+        assert.strictEqual(data.charset_ISO_8859_1, undefined);
+        assert.strictEqual(data.charmaps_ISO_8859_1, undefined);
+        assert.ok(data.charset_ISO_8859_15);
+    },
+
+    testIncludeAndExcludeNormalization: function() {
+        var data = assemble({
+            includeNormalization: ["nfc/Cyrl"]
+        }, ["localeinfo"]);
+        assert.ok(Object.keys(data.norm.nfc).length > 0);
+
+        data = assemble({
+            includeNormalization: ["nfc/Cyrl"],
+            excludeNormalization: ["nfc"]
+        }, ["localeinfo"]);
+        assert.deepStrictEqual(data.norm.nfc, {});
+    },
+
+    testMissingScriptIsReportedWhenNamed: function() {
+        var result = IlibDataPlugin.assemble({
+            locales: ["de-DE"],
+            includeNormalization: ["nfc/Xxxx"],
+            tempDir: helpers.makeTempDir("assets")
+        }, ["localeinfo"]);
+        assert.ok(result.problems.some(function(problem) {
+            return /There is no nfc normalization data for the script Xxxx/.test(problem.message);
+        }), result.problems.join("\n"));
+    }
+};
@@ -0,0 +1,124 @@
+/*
+ * testLocales.js - test the patterns in the locales option
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var helpers = require("./helpers.js");
+
+function expand(options) {
+    return new IlibDataPlugin(options).options.locales;
+}
+
+module.exports = {
+    testPatternsAreExpanded: function() {
+        var german = expand({locales: ["de-*"]});
+        ["de-AT", "de-CH", "de-DE"].forEach(function(locale) {
+            assert.ok(german.indexOf(locale) > -1, locale + " is not in " + german);
+        });
+        german.forEach(function(locale) {
+            assert.ok(/^de-/.test(locale), locale);
+        });
+
+        var swiss = expand({locales: "*-CH, en-US"});
+        ["de-CH", "fr-CH", "it-CH"].forEach(function(locale) {
+            assert.ok(swiss.indexOf(locale) > -1, locale + " is not in " + swiss);
+        });
+        assert.strictEqual(swiss[swiss.length - 1], "en-US");
+        swiss.slice(0, -1).forEach(function(locale) {
+            assert.ok(/-CH$/.test(locale), locale);
+        });
+    },
+
+    testExplicitLocalesAreKept: function() {
+        // so that typos can be reported instead of silently dropped
+        assert.deepStrictEqual(expand({locales: ["xx-YY", "zz-*", "de-DE", "de-DE"]}), ["xx-YY", "de-DE"]);
+    },
+
+    testAutoFindsTheTranslations: function() {
+        var dir = helpers.makeTempDir("auto");
+        helpers.writeFiles(dir, {
+            "de/strings.json": {},
+            "fr/CA/strings.json": {},
+            "zh/Hant/TW/strings.json": {},
+            "en-GB/strings.json": {},
+            "und/DE/strings.json": {},
+            "xx/strings.json": {},
+            "images/logo.json": {}
+        });
+        assert.deepStrictEqual(expand({locales: ["auto"], resourceDir: dir}),
+            ["de", "en-GB", "fr", "fr-CA", "zh", "zh-Hant", "zh-Hant-TW"]);
+    },
+
+    testAutoNeedsTheResourceDir: function() {
+        assert.throws(function() {
+            expand({locales: ["auto"]});
+        }, /there is no resourceDir option/);
+    },
+
+    testAutoIsExpandedInEachCompilation: function(done) {
+        var webpack = require("webpack");
+        var resources = helpers.makeTempDir("resources");
+        helpers.writeFiles(resources, {
+            "de/strings.json": {hello: "Hallo"}
+        });
+        var config = helpers.makeConfig({
+            plugin: {
+                locales: ["auto"],
+                resourceDir: resources,
+                includeData: ["localeinfo"]
+            }
+        });
+        var compiler = webpack(config);
+        var parts = function() {
+            return fs.readdirSync(path.join(config.output.path, "locales"));
+        };
+        compiler.run(function(err) {
+            if (err) {
+                return done(err);
+            }
+            try {
+                assert.ok(parts().indexOf("de.js") > -1);
+                assert.ok(parts().indexOf("it.js") === -1);
+            } catch (e) {
+                return compiler.close(function() {
+                    done(e);
+                });
+            }
+            helpers.writeFiles(resources, {
+                "it/strings.json": {hello: "Ciao"}
+            });
+            compiler.run(function(err) {
+                compiler.close(function() {
+                    if (err) {
+                        return done(err);
+                    }
+                    try {
+                        assert.ok(parts().indexOf("it.js") > -1);
+                        assert.ok(/Ciao/.test(fs.readFileSync(path.join(config.output.path, "locales/it.js"), "utf-8")));
+                    } catch (e) {
+                        return done(e);
+                    }
+                    done();
+                });
+            });
+        });
+    }
+};
@@ -0,0 +1,80 @@
+/*
+ * testMultiCompiler.js - test several instances of the plugin at once
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var helpers = require("./helpers.js");
+
+// list the locale parts that a build wrote out
+function listParts(config) {
+    return fs.readdirSync(path.join(config.output.path, "locales")).sort();
+}
+
+module.exports = {
+    testInstancesKeepTheirOwnData: function() {
+        var german = new IlibDataPlugin({locales: ["de-DE"]});
+        var french = new IlibDataPlugin({locales: ["fr-FR"]});
+        german.addData("sysres");
+        assert.ok(german.localeData.has("sysres"));
+        assert.strictEqual(french.localeData.size, 0);
+    },
+
+    testMultiCompilerBuildsEachLocaleSet: function(done) {
+        var webpack = require("webpack");
+        var german = helpers.makeConfig({
+            plugin: {
+                locales: ["de-DE"],
+                includeData: ["localeinfo"]
+            }
+        });
+        var french = helpers.makeConfig({
+            plugin: {
+                locales: ["fr-CA"],
+                includeData: ["localeinfo", "sysres"]
+            }
+        });
+        // the compilers of a multi-compiler run in parallel
+        webpack([german, french], function(err, stats) {
+            if (err) {
+                return done(err);
+            }
+            try {
+                stats.stats.forEach(function(child) {
+                    assert.deepStrictEqual(child.toJson({all: false, errors: true}).errors, []);
+                });
+                assert.deepStrictEqual(listParts(german),
+                    ["de-DE.js", "de.js", "localmanifest.js", "remotemanifest.js", "root.js", "und-DE.js"]);
+                assert.deepStrictEqual(listParts(french),
+                    ["fr-CA.js", "fr.js", "localmanifest.js", "remotemanifest.js", "root.js", "und-CA.js"]);
+
+                var read = function(config, name) {
+                    return fs.readFileSync(path.join(config.output.path, "locales", name), "utf-8");
+                };
+                assert.ok(/localeinfo = /.test(read(german, "root.js")));
+                assert.ok(!/sysres/.test(read(german, "root.js")));
+                assert.ok(/sysres = /.test(read(french, "root.js")));
+            } catch (e) {
+                return done(e);
+            }
+            done();
+        });
+    }
+};
@@ -0,0 +1,82 @@
+/*
+ * testOptimize.js - test the optimize option
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var Utils = require("ilib/lib/Utils.js");
+var JSUtils = require("ilib/lib/JSUtils.js");
+var helpers = require("./helpers.js");
+
+function assemble(locales, types, optimize) {
+    return IlibDataPlugin.assemble({
+        locales: locales,
+        optimize: optimize,
+        tempDir: helpers.makeTempDir(optimize ? "optimized" : "plain")
+    }, types);
+}
+
+// merge the data of a type in the parts of a locale, the way ilib does
+function mergeChain(data, type, locale) {
+    return Utils.getSublocales(locale).reduce(function(merged, part) {
+        var name = type + (part === "root" ? "" : "_" + part.replace(/-/g, "_"));
+        return data[name] ? JSUtils.merge(merged, data[name]) : merged;
+    }, {});
+}
+
+module.exports = {
+    testOptimizeKeepsTheLocalManifest: function() {
+        var plain = assemble(["de-DE", "de-AT"], ["localeinfo", "sysres"], false);
+        var optimized = assemble(["de-DE", "de-AT"], ["localeinfo", "sysres"], true);
+        assert.deepStrictEqual(helpers.messagesOf(optimized.problems), []);
+
+        var size = function(assets) {
+            return Object.keys(assets).reduce(function(total, name) {
+                return total + assets[name].length;
+            }, 0);
+        };
+        assert.ok(size(optimized.assets) < size(plain.assets));
+        assert.strictEqual(optimized.assets["locales/localmanifest.js"], plain.assets["locales/localmanifest.js"]);
+    },
+
+    testOptimizeKeepsWhatIlibMerges: function() {
+        var types = ["localeinfo", "sysres", "dateformats"];
+        var plain = helpers.installParts(assemble(["de-DE", "de-AT"], types, false).assets);
+        var optimized = helpers.installParts(assemble(["de-DE", "de-AT"], types, true).assets);
+        types.forEach(function(type) {
+            ["de-DE", "de-AT"].forEach(function(locale) {
+                assert.deepStrictEqual(mergeChain(optimized, type, locale), mergeChain(plain, type, locale), type + " of " + locale);
+            });
+        });
+        assert.ok(!optimized.localeinfo_de_DE || Object.keys(optimized.localeinfo_de_DE).length <
+            Object.keys(plain.localeinfo_de_DE).length);
+    },
+
+    testOptimizeKeepsTheReturnOneTypes: function() {
+        // ilib only reads the most specific part that has these types
+        var types = ["ctrynames", "regionnames", "states", "phonefmt"];
+        var plain = helpers.installParts(assemble(["de-AT", "en-US"], types, false).assets);
+        var optimized = helpers.installParts(assemble(["de-AT", "en-US"], types, true).assets);
+        Object.keys(plain).forEach(function(name) {
+            if (types.indexOf(name.split("_")[0]) > -1) {
+                assert.deepStrictEqual(optimized[name], plain[name], name);
+            }
+        });
+        assert.ok(Object.keys(optimized.ctrynames_de_AT).length > 100);
+    }
+};
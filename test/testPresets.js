@@ -0,0 +1,88 @@
+/*
+ * testPresets.js - test the presets option
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var helpers = require("./helpers.js");
+
+module.exports = {
+    testPresetsExpandTheOptionsInPlace: function() {
+        var options = {
+            presets: "core",
+            locales: ["de-*"],
+            tempDir: helpers.makeTempDir("presets")
+        };
+        var plugin = new IlibDataPlugin(options);
+        assert.strictEqual(plugin.options, options);
+        assert.ok(options.locales.indexOf("de-AT") > -1);
+        assert.strictEqual(options.locales.indexOf("de-*"), -1);
+        assert.deepStrictEqual(plugin.options.includeData, ["localeinfo", "plurals", "sysres"]);
+    },
+
+    testPresetsAssemble: function() {
+        var result = IlibDataPlugin.assemble({
+            presets: "core",
+            locales: ["de-DE"],
+            tempDir: helpers.makeTempDir("presets")
+        }, []);
+        assert.deepStrictEqual(helpers.messagesOf(result.problems), []);
+        assert.ok(/ilib\.data\.localeinfo_de = /.test(result.assets["locales/de.js"]));
+        assert.ok(/ilib\.data\.sysres_de = /.test(result.assets["locales/de.js"]));
+        assert.ok(/ilib\.data\.plurals_de = /.test(result.assets["locales/de.js"]));
+    },
+
+    testFullPresetHasAllOfTheDataOfItsClasses: function() {
+        // the data that each class loads is declared in its "!data" comment
+        var classes = ["Address", "AddressFmt", "PhoneNumber", "PhoneFmt", "PhoneGeoLocator", "NameFmt",
+            "ListFmt", "UnitFmt", "Collator", "CType", "ScriptInfo", "DateFmt", "NumFmt", "TimeZone"];
+        var full = IlibDataPlugin.getPresets().full;
+        classes.forEach(function(name) {
+            var source = fs.readFileSync(require.resolve("ilib/lib/" + name + ".js"), "utf-8");
+            var match = /!data ([^*\n]*)/.exec(source);
+            assert.ok(match, "no data declared for " + name);
+            match[1].trim().split(/\s+/).forEach(function(type) {
+                assert.ok(full.data.indexOf(type) > -1, type + " of " + name + " is not in the full preset");
+            });
+        });
+    },
+
+    testFullPresetAssemble: function() {
+        var result = IlibDataPlugin.assemble({
+            presets: "full",
+            locales: ["de-DE"],
+            tempDir: helpers.makeTempDir("presets")
+        }, []);
+        assert.deepStrictEqual(helpers.messagesOf(result.problems), []);
+        var data = helpers.installParts(result.assets);
+        ["countries", "nativecountries", "idd", "mnc", "iddarea", "states_und_DE", "area_und_DE", "phoneres_de"].forEach(function(name) {
+            assert.ok(data[name], "there is no " + name);
+        });
+    },
+
+    testUnknownPreset: function() {
+        assert.throws(function() {
+            new IlibDataPlugin({
+                presets: "nonexistent",
+                locales: ["de-DE"]
+            });
+        }, /nonexistent/);
+    }
+};
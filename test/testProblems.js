@@ -0,0 +1,117 @@
+/*
+ * testProblems.js - test how problems with the locale data are reported
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var path = require("path");
+var helpers = require("./helpers.js");
+
+// build with the given options and hand the errors and warnings of the
+// compilation to the callback, along with what was printed out
+function build(plugin, callback) {
+    var printed = [];
+    var log = console.log;
+    console.log = function() {
+        printed.push(Array.prototype.join.call(arguments, " "));
+    };
+    helpers.compile({
+        plugin: plugin
+    }, function(err, stats) {
+        console.log = log;
+        if (err) {
+            return callback(err);
+        }
+        callback(undefined, {
+            errors: stats.compilation.errors,
+            warnings: stats.compilation.warnings,
+            printed: printed
+        });
+    });
+}
+
+module.exports = {
+    testBrokenDataIsACompilationError: function(done) {
+        var custom = helpers.makeTempDir("custom");
+        helpers.writeFiles(custom, {
+            "de/localeinfo.json": "{\"broken\": "
+        });
+        build({
+            locales: ["de-DE"],
+            includeData: ["localeinfo"],
+            customDataRoots: [custom]
+        }, function(err, result) {
+            if (err) {
+                return done(err);
+            }
+            try {
+                assert.strictEqual(result.errors.length, 1);
+                var error = result.errors[0];
+                assert.ok(/^ilib-webpack-plugin: Could not read the locale data: /.test(error.message), error.message);
+                assert.strictEqual(error.locale, "de-DE");
+                assert.strictEqual(error.dataType, "localeinfo");
+                assert.strictEqual(error.file, path.join(custom, "de/localeinfo.json"));
+                assert.ok(error.hideStack);
+                assert.deepStrictEqual(result.printed, []);
+            } catch (e) {
+                return done(e);
+            }
+            done();
+        });
+    },
+
+    testUnknownLocaleIsACompilationWarning: function(done) {
+        build({
+            locales: ["de-DE", "xx-YY"],
+            includeData: ["localeinfo"]
+        }, function(err, result) {
+            if (err) {
+                return done(err);
+            }
+            try {
+                assert.deepStrictEqual(result.errors, []);
+                assert.ok(result.warnings.some(function(warning) {
+                    return warning.locale === "xx-YY" && /The locale xx-YY is not a valid locale/.test(warning.message);
+                }), result.warnings.join("\n"));
+                assert.deepStrictEqual(result.printed, []);
+            } catch (e) {
+                return done(e);
+            }
+            done();
+        });
+    },
+
+    testStrictMakesTheWarningsErrors: function(done) {
+        build({
+            locales: ["de-DE", "xx-YY"],
+            includeData: ["localeinfo"],
+            strict: true
+        }, function(err, result) {
+            if (err) {
+                return done(err);
+            }
+            try {
+                assert.ok(result.errors.some(function(error) {
+                    return /The locale xx-YY is not a valid locale/.test(error.message);
+                }), result.errors.join("\n"));
+            } catch (e) {
+                return done(e);
+            }
+            done();
+        });
+    }
+};
@@ -0,0 +1,99 @@
+/*
+ * testPseudoLocales.js - test the generated pseudo-locales
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var path = require("path");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var Utils = require("ilib/lib/Utils.js");
+var JSUtils = require("ilib/lib/JSUtils.js");
+var helpers = require("./helpers.js");
+
+function assemble(options, types) {
+    var dir = helpers.makeTempDir("pseudo");
+    helpers.writeFiles(dir, {
+        "res/en/US/strings.json": {
+            greeting: "Hello {name}",
+            markup: "<b>Bold</b>"
+        }
+    });
+    options.locales = ["en-US"];
+    options.resourceDir = path.join(dir, "res");
+    options.selfTest = "error";
+    options.tempDir = path.join(dir, "tmp");
+    var result = IlibDataPlugin.assemble(options, types);
+    assert.deepStrictEqual(helpers.messagesOf(result.problems), []);
+    return result;
+}
+
+// merge the data of a type in the parts of a locale, the way ilib does
+function mergeChain(data, type, locale) {
+    return Utils.getSublocales(locale).reduce(function(merged, part) {
+        var name = type + (part === "root" ? "" : "_" + part.replace(/-/g, "_"));
+        return data[name] ? JSUtils.merge(merged, data[name]) : merged;
+    }, {});
+}
+
+module.exports = {
+    testDefaultPseudoLocales: function() {
+        var result = assemble({pseudoLocales: true}, ["localeinfo", "sysres"]);
+        var files = JSON.parse(result.assets["locales/ilibmanifest.json"]).files;
+        ["zxx-XA.js", "zxx-Hebr-XB.js"].forEach(function(file) {
+            assert.ok(files.indexOf(file) > -1, file + " is not in the manifest");
+        });
+    },
+
+    testPseudoLocaleCopiesTheBaseLocale: function() {
+        var data = helpers.installParts(assemble({
+            pseudoLocales: {"zxx-XA": {base: "en-US"}}
+        }, ["localeinfo", "sysres"]).assets);
+
+        // the data that is not translatable is copied as it is
+        assert.strictEqual(mergeChain(data, "localeinfo", "zxx-XA").currency, "USD");
+        assert.deepStrictEqual(data.localeinfo_zxx_XA, mergeChain(data, "localeinfo", "en-US"));
+
+        // and each of the strings of the sysres is pseudo-translated
+        var english = mergeChain(data, "sysres", "en-US");
+        var pseudo = mergeChain(data, "sysres", "zxx-XA");
+        assert.deepStrictEqual(Object.keys(pseudo).sort(), Object.keys(english).sort());
+        Object.keys(english).forEach(function(key) {
+            // choice strings get a pair of brackets for each choice
+            assert.ok(/^(.*#)?\[.* ~+\]$/.test(pseudo[key]), key + ": " + pseudo[key]);
+            assert.notStrictEqual(pseudo[key], english[key]);
+        });
+    },
+
+    testTranslationsArePseudoTranslated: function() {
+        var data = helpers.installParts(assemble({
+            pseudoLocales: {"zxx-XA": {base: "en-US", expansion: 1}}
+        }, ["localeinfo"]).assets);
+        var strings = data.strings_zxx_XA;
+        // the replacement parameters and the markup stay as they are, and
+        // the padding is as long as the text around them
+        assert.strictEqual(strings.greeting, "[Ħëľľõ {name} ~~~~~~]");
+        assert.strictEqual(strings.markup, "[<b>ßõľð</b> ~~~~]");
+    },
+
+    testRightToLeftStyle: function() {
+        var data = helpers.installParts(assemble({
+            pseudoLocales: {"zxx-Hebr-XB": {base: "en-US", style: "rtl"}}
+        }, ["localeinfo"]).assets);
+        var greeting = data.strings_zxx_Hebr_XB.greeting;
+        assert.ok(/^‫[^a-zA-Z]*\{name\}[^a-zA-Z]*‬$/.test(greeting), greeting);
+    }
+};
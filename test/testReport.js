@@ -0,0 +1,81 @@
+/*
+ * testReport.js - test the report of the contents of the locale data
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var helpers = require("./helpers.js");
+
+module.exports = {
+    testReportDescribesTheParts: function() {
+        var result = IlibDataPlugin.assemble({
+            locales: ["de-DE"],
+            report: true,
+            tempDir: helpers.makeTempDir("assets")
+        }, ["localeinfo"]);
+        var report = JSON.parse(result.assets["ilib-report.json"]);
+
+        assert.deepStrictEqual(report.locales["de-DE"].parts.slice().sort(), ["de", "de-DE", "root", "und-DE"]);
+        var total = 0;
+        Object.keys(report.parts).forEach(function(name) {
+            var part = report.parts[name];
+            assert.strictEqual(part.size, Buffer.byteLength(result.assets[part.file]), name);
+            total += part.size;
+        });
+        assert.strictEqual(report.locales["de-DE"].size, total);
+        assert.strictEqual(report.size, total);
+
+        assert.deepStrictEqual(report.parts.de.data, [{
+            name: "localeinfo",
+            file: "de/localeinfo.json",
+            type: "localeinfo",
+            size: fs.statSync(path.join(__dirname, "../node_modules/ilib/locale/de/localeinfo.json")).size,
+            minifiedSize: report.parts.de.data[0].minifiedSize
+        }]);
+
+        var text = result.assets["ilib-report.txt"];
+        assert.ok(text.indexOf("Part de (locales/de.js): " + report.parts.de.size + " bytes") > -1, text);
+        assert.ok(text.indexOf("Total: " + total + " bytes") > -1, text);
+    },
+
+    testReportIsEmittedAndAddedToTheStats: function(done) {
+        helpers.compile({
+            plugin: {
+                locales: ["de-DE"],
+                includeData: ["localeinfo"],
+                report: "reports/locales.json"
+            }
+        }, function(err, stats, dir) {
+            if (err) {
+                return done(err);
+            }
+            try {
+                var report = JSON.parse(fs.readFileSync(path.join(dir, "dist/reports/locales.json"), "utf-8"));
+                assert.ok(fs.existsSync(path.join(dir, "dist/reports/locales.txt")));
+                assert.strictEqual(report.parts.de.file, "locales/de.js");
+                assert.strictEqual(report.parts.de.size, fs.statSync(path.join(dir, "dist/locales/de.js")).size);
+                assert.deepStrictEqual(stats.toJson({all: false}).ilibReport, report);
+            } catch (e) {
+                return done(e);
+            }
+            done();
+        });
+    }
+};
@@ -0,0 +1,92 @@
+/*
+ * testResources.js - test the translations from the resourceDir
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var path = require("path");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var helpers = require("./helpers.js");
+
+// write the translations and assemble the locale parts with them
+function assemble(files, options) {
+    var dir = helpers.makeTempDir("resources");
+    helpers.writeFiles(path.join(dir, "res"), files);
+    options.resourceDir = path.join(dir, "res");
+    options.tempDir = path.join(dir, "tmp");
+    var result = IlibDataPlugin.assemble(options, ["localeinfo"]);
+    assert.deepStrictEqual(helpers.messagesOf(result.problems), []);
+    return result;
+}
+
+module.exports = {
+    testTranslationsInTheSplitLayout: function() {
+        var result = assemble({
+            "fr/strings.json": {a: "fr"},
+            "fr/CA/strings.json": {b: "fr/CA"}
+        }, {locales: ["auto"]});
+        var data = helpers.installParts(result.assets);
+        assert.deepStrictEqual(data.strings_fr, {a: "fr"});
+        assert.deepStrictEqual(data.strings_fr_CA, {b: "fr/CA"});
+    },
+
+    testTranslationsInTheWholeSpecLayout: function() {
+        var result = assemble({
+            "fr-CA/strings.json": {b: "fr-CA"}
+        }, {locales: ["auto"]});
+        assert.ok(result.assets["locales/fr-CA.js"]);
+        var data = helpers.installParts(result.assets, ["fr-CA"]);
+        assert.deepStrictEqual(data.strings_fr_CA, {b: "fr-CA"});
+    },
+
+    testTranslationsInBothLayoutsAreMerged: function() {
+        var result = assemble({
+            "fr/CA/strings.json": {a: "fr/CA", b: "fr/CA"},
+            "fr-CA/strings.json": {b: "fr-CA"}
+        }, {locales: ["fr-CA"]});
+        var data = helpers.installParts(result.assets, ["fr-CA"]);
+        assert.deepStrictEqual(data.strings_fr_CA, {a: "fr/CA", b: "fr-CA"});
+    },
+
+    testPseudoTranslationsFromTheWholeSpecLayout: function() {
+        var result = assemble({
+            "en-US/strings.json": {hello: "Hello"}
+        }, {
+            locales: ["en-US"],
+            pseudoLocales: {"zxx-XA": {base: "en-US"}}
+        });
+        var data = helpers.installParts(result.assets, ["zxx-XA"]);
+        assert.ok(data.strings_zxx_XA);
+        assert.notStrictEqual(data.strings_zxx_XA.hello, "Hello");
+    },
+
+    testInvalidTranslationsNameTheirFile: function() {
+        var dir = helpers.makeTempDir("resources");
+        helpers.writeFiles(dir, {"res/fr-CA/strings.json": "{"});
+        var result = IlibDataPlugin.assemble({
+            locales: ["fr-CA"],
+            resourceDir: path.join(dir, "res"),
+            tempDir: path.join(dir, "tmp")
+        }, ["localeinfo"]);
+        var errors = result.problems.filter(function(problem) {
+            return problem.severity === "error";
+        });
+        assert.strictEqual(errors.length, 1);
+        assert.ok(/Could not read the translations/.test(errors[0].message));
+        assert.strictEqual(errors[0].file, path.join(dir, "res/fr-CA/strings.json"));
+    }
+};
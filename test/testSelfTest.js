@@ -0,0 +1,89 @@
+/*
+ * testSelfTest.js - test the self-test of the locale data
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var helpers = require("./helpers.js");
+
+function assemble(types, selfTest) {
+    return IlibDataPlugin.assemble({
+        locales: ["de-DE", "fr-FR"],
+        selfTest: selfTest,
+        tempDir: helpers.makeTempDir("assets")
+    }, types);
+}
+
+module.exports = {
+    testCompleteDataPasses: function() {
+        var result = assemble(["dateformats", "sysres", "localeinfo", "plurals"], "error");
+        assert.deepStrictEqual(result.problems, []);
+    },
+
+    testMissingDataIsReported: function() {
+        // DateFmt also needs the sysres, localeinfo and plurals data
+        var result = assemble(["dateformats"], true);
+        assert.deepStrictEqual(helpers.messagesOf(result.problems), []);
+        var warnings = result.problems.filter(function(problem) {
+            return problem.severity === "warning";
+        });
+        ["de/sysres.json", "fr/plurals.json"].forEach(function(file) {
+            assert.ok(warnings.some(function(warning) {
+                return warning.file === file &&
+                    / would have to load .* at run time, because its data is not in the locale parts/.test(warning.message);
+            }), file + " is not reported");
+        });
+        // files that do not exist are not a problem
+        warnings.forEach(function(warning) {
+            assert.ok(!/\/DE\/sysres\.json$/.test(warning.file), warning.message);
+        });
+    },
+
+    testErrorSeverity: function() {
+        var result = assemble(["dateformats"], "error");
+        assert.ok(helpers.messagesOf(result.problems).length > 0);
+        assert.deepStrictEqual(helpers.messagesOf(result.problems, "warning"), []);
+    },
+
+    testNoSelfTestByDefault: function() {
+        assert.deepStrictEqual(assemble(["dateformats"]).problems, []);
+    },
+
+    testSelfTestErrorsFailTheCompilation: function(done) {
+        helpers.compile({
+            plugin: {
+                locales: ["de-DE"],
+                includeData: ["dateformats"],
+                selfTest: "error"
+            }
+        }, function(err, stats) {
+            if (err) {
+                return done(err);
+            }
+            try {
+                assert.ok(stats.hasErrors());
+                assert.ok(stats.compilation.errors.some(function(error) {
+                    return error.file === "de/sysres.json";
+                }));
+            } catch (e) {
+                return done(e);
+            }
+            done();
+        });
+    }
+};
@@ -0,0 +1,136 @@
+/*
+ * testSplitLocales.js - test the splitLocales option
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var path = require("path");
+var helpers = require("./helpers.js");
+
+// the app loads a locale and hands the ilib data to the test
+var app =
+    'var ilib = require("ilib/lib/ilib.js");\n' +
+    'var loadLocale = require("ilib-webpack-plugin/loadLocale").loadLocale;\n' +
+    'global.ilibTestResult = loadLocale("de-DE").then(function() {\n' +
+    '    return loadLocale("xx-YY").catch(function(e) {\n' +
+    '        return {data: ilib.data, error: e.message};\n' +
+    '    });\n' +
+    '});\n';
+
+function build(plugin, callback) {
+    helpers.compile({
+        entry: app,
+        target: "node",
+        plugin: plugin
+    }, function(err, stats, dir) {
+        if (err) {
+            return callback(err);
+        }
+        var info = stats.toJson({all: false, errors: true, chunks: true});
+        try {
+            assert.deepStrictEqual(info.errors.map(function(error) {
+                return error.message;
+            }), []);
+        } catch (e) {
+            return callback(e);
+        }
+        callback(undefined, info, dir);
+    });
+}
+
+function run(dir, callback) {
+    require(path.join(dir, "dist/main.js"));
+    var result = global.ilibTestResult;
+    delete global.ilibTestResult;
+    result.then(function(value) {
+        callback(undefined, value);
+    }, callback);
+}
+
+module.exports = {
+    testSplitLocalesMakesAChunkPerLocale: function(done) {
+        build({
+            locales: ["de-DE", "fr-FR"],
+            includeData: ["localeinfo"],
+            splitLocales: true
+        }, function(err, info) {
+            if (err) {
+                return done(err);
+            }
+            try {
+                var chunks = info.chunks.map(function(chunk) {
+                    return chunk.names[0];
+                });
+                ["locale-de-DE", "locale-fr-FR"].forEach(function(name) {
+                    assert.ok(chunks.indexOf(name) > -1, "there is no chunk " + name);
+                });
+                done();
+            } catch (e) {
+                done(e);
+            }
+        });
+    },
+
+    testLoadLocaleInstallsTheParts: function(done) {
+        build({
+            locales: ["de-DE", "fr-FR"],
+            includeData: ["localeinfo"],
+            splitLocales: true
+        }, function(err, info, dir) {
+            if (err) {
+                return done(err);
+            }
+            run(dir, function(err, result) {
+                try {
+                    assert.ifError(err);
+                    assert.strictEqual(result.data.localeinfo_de["language.name"], "German");
+                    assert.strictEqual(result.data.localeinfo_und_DE["region.name"], "Germany");
+                    // only the locale that was loaded is installed
+                    assert.ok(!result.data.localeinfo_fr);
+                    assert.ok(/xx-YY was not built into this app/.test(result.error));
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+    },
+
+    testLoaderUsesTheResolvedIlib: function(done) {
+        // a relative ilibRoot is relative to the current directory, not to
+        // the directory of the generated loader
+        build({
+            locales: ["de-DE"],
+            includeData: ["localeinfo"],
+            splitLocales: true,
+            ilibRoot: path.relative(process.cwd(), path.join(__dirname, "../node_modules/ilib"))
+        }, function(err, info, dir) {
+            if (err) {
+                return done(err);
+            }
+            run(dir, function(err, result) {
+                try {
+                    assert.ifError(err);
+                    assert.ok(result.data.localeinfo_de);
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+        });
+    }
+};
@@ -0,0 +1,76 @@
+/*
+ * testSuite.js - run all of the tests of the plugin
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require("fs");
+var path = require("path");
+var helpers = require("./helpers.js");
+
+// Each test file exports its tests by name. A test that takes an argument
+// is asynchronous and calls it when it is done, with an error if it failed.
+var tests = [];
+fs.readdirSync(__dirname).filter(function(name) {
+    return /^test.+\.js$/.test(name) && name !== "testSuite.js";
+}).sort().forEach(function(file) {
+    var suite = require(path.join(__dirname, file));
+    Object.keys(suite).forEach(function(name) {
+        tests.push({
+            name: path.basename(file, ".js") + "." + name,
+            run: suite[name]
+        });
+    });
+});
+
+var failed = 0;
+
+function finish() {
+    helpers.cleanup();
+    console.log((tests.length - failed) + " of " + tests.length + " tests passed");
+    process.exitCode = failed ? 1 : 0;
+}
+
+function next(index) {
+    if (index >= tests.length) {
+        return finish();
+    }
+    var test = tests[index];
+    var called = false;
+    var done = function(err) {
+        if (called) return;
+        called = true;
+        if (err) {
+            failed++;
+            console.log("not ok - " + test.name + "\n" + (err.stack || err));
+        } else {
+            console.log("ok - " + test.name);
+        }
+        next(index + 1);
+    };
+    try {
+        if (test.run.length) {
+            test.run(done);
+        } else {
+            test.run();
+            done();
+        }
+    } catch (e) {
+        done(e);
+    }
+}
+
+next(0);
@@ -0,0 +1,74 @@
+/*
+ * testTimeZones.js - test which time zones go into the locale data
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var IlibDataPlugin = require("../ilib-webpack-plugin.js");
+var helpers = require("./helpers.js");
+
+function assemble(options) {
+    options.locales = options.locales || ["de-DE"];
+    options.tempDir = helpers.makeTempDir("assets");
+    return IlibDataPlugin.assemble(options, ["zoneinfo"]);
+}
+
+function zonesOf(assets, parts) {
+    return Object.keys(helpers.installParts(assets, parts).zoneinfo);
+}
+
+module.exports = {
+    testZonesOfTheRegionsAndTheGenericZones: function() {
+        var result = assemble({});
+        assert.deepStrictEqual(helpers.messagesOf(result.problems), []);
+        var zones = zonesOf(result.assets);
+        ["zonetab", "Europe/Berlin", "CET", "UTC"].forEach(function(zone) {
+            assert.ok(zones.indexOf(zone) > -1, zone + " is missing");
+        });
+        assert.strictEqual(zones.indexOf("America/New_York"), -1);
+    },
+
+    testTimeZonesOptionReplacesTheGenericZones: function() {
+        var result = assemble({
+            timeZones: ["America/New_York", "Nowhere/Land"]
+        });
+        assert.deepStrictEqual(helpers.messagesOf(result.problems), []);
+        assert.deepStrictEqual(helpers.messagesOf(result.problems, "warning").map(function(message) {
+            return /Could not find the time zone Nowhere\/Land/.test(message);
+        }), [true]);
+        var zones = zonesOf(result.assets);
+        ["zonetab", "Europe/Berlin", "America/New_York"].forEach(function(zone) {
+            assert.ok(zones.indexOf(zone) > -1, zone + " is missing");
+        });
+        ["CET", "UTC"].forEach(function(zone) {
+            assert.strictEqual(zones.indexOf(zone), -1, zone + " is included");
+        });
+    },
+
+    testSeparateTimeZonesPart: function() {
+        var result = assemble({
+            separateTimeZones: true
+        });
+        assert.deepStrictEqual(helpers.messagesOf(result.problems), []);
+        var root = zonesOf(result.assets, ["root"]);
+        assert.deepStrictEqual(root, ["zonetab"]);
+        assert.ok(/ilib\.loadTimeZoneData = /.test(result.assets["locales/root.js"]));
+        var separate = zonesOf(result.assets, ["zoneinfo"]);
+        assert.ok(separate.indexOf("Europe/Berlin") > -1);
+        assert.ok(separate.indexOf("CET") > -1);
+    }
+};
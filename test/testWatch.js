@@ -0,0 +1,96 @@
+/*
+ * testWatch.js - test the locale data in watch mode
+ *
+ * Copyright © 2018, JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var helpers = require("./helpers.js");
+
+module.exports = {
+    testChangedDataIsReadAgain: function(done) {
+        var webpack = require("webpack");
+        var custom = helpers.makeTempDir("custom");
+        helpers.writeFiles(custom, {
+            "de/localeinfo.json": {marker: "first"}
+        });
+        var config = helpers.makeConfig({
+            plugin: {
+                locales: ["de-DE"],
+                includeData: ["localeinfo"],
+                customDataRoots: [custom]
+            }
+        });
+        var plugin = config.plugins[0];
+        var dir = path.dirname(config.output.path);
+        var read = function(name) {
+            return fs.readFileSync(path.join(config.output.path, "locales", name), "utf-8");
+        };
+
+        // each step checks the output of a build and then changes a file
+        var emitted;
+        var steps = [
+            function() {
+                assert.ok(/"marker":"first"/.test(read("de.js")));
+                emitted = plugin.localeDataEmitted;
+                // a change to the app alone does not touch the locale data
+                fs.writeFileSync(path.join(dir, "index.js"), "module.exports = 2;\n");
+            },
+            function() {
+                assert.strictEqual(plugin.localeDataEmitted, emitted);
+                helpers.writeFiles(custom, {
+                    "de/localeinfo.json": {marker: "second"}
+                });
+            },
+            function() {
+                assert.notStrictEqual(plugin.localeDataEmitted, emitted);
+                assert.ok(/"marker":"second"/.test(read("de.js")));
+                assert.ok(!/"marker"/.test(read("root.js")));
+            }
+        ];
+
+        var watching;
+        var finish = function(err) {
+            clearTimeout(timer);
+            watching.close(function() {
+                done(err);
+            });
+        };
+        var timer = setTimeout(function() {
+            finish(new Error("the watcher did not rebuild after each change"));
+        }, 30000);
+
+        watching = webpack(config).watch({aggregateTimeout: 50}, function(err, stats) {
+            if (err) {
+                return finish(err);
+            }
+            // wait a moment so that the watcher sees the next change as a new one
+            setTimeout(function() {
+                try {
+                    assert.deepStrictEqual(stats.toJson({all: false, errors: true}).errors, []);
+                    steps.shift()();
+                } catch (e) {
+                    return finish(e);
+                }
+                if (!steps.length) {
+                    finish();
+                }
+            }, 200);
+        });
+    }
+};